@@ -7,16 +7,45 @@ import {
   viewToggleBtn,
   truncateToggleBtn,
   startAppBtn,
+  videoSourceBtn,
   backendToggleBtn,
   materialModeToggleBtn,
   replayDrawingBtn,
   replayPrevBtn,
   replayNextBtn,
   clearDrawingsBtn,
+  phaseModeBtn,
+  playbackControls,
+  playPauseBtn,
+  timelineScrubber,
+  frameReadout,
+  playbackRateSelect,
+  playbackModeSelect,
+  frameBlendToggle,
+  tileSetSelect,
+  tileSetStatus,
+  tileOrderSelect,
+  alphaModeSelect,
+  backFaceSelect,
+  openTilesBtn,
+  tileFilesInput,
+  dropOverlay,
+  gradingBtn,
+  gradingPanel,
+  gradingCloseBtn,
+  gradingResetBtn,
+  diagnosticsBtn,
+  diagnosticsPanel,
+  diagnosticsCloseBtn,
+  diagnosticsSummary,
+  diagnosticsIssues,
+  validateTilesBtn,
+  strictValidationToggle,
   finishDrawingBtn,
   fullscreenBtn,
   countdownSecondsSpan,
   fileInput,
+  videoFileInput,
   checkerboardDiv,
   welcomeScreen,
   drawCanvas,
@@ -25,8 +54,12 @@ import {
 import { loadSvgPath, parseSvgContent, normalizePoints, parseSvgContentMultiPath, normalizePointsMultiPath } from './modules/svgPathToPoints.js';
 import { Ribbon } from './modules/ribbon.js';
 import { RibbonSeries } from './modules/ribbonSeries.js';
+import { createPointWidthProfile } from './modules/ribbonWidth.js';
 import { DrawingManager } from './modules/drawing.js';
 import { TileManager } from './modules/tileManager.js';
+import { clearArchiveCache } from './modules/archiveCache.js';
+import { getDroppedFiles } from './utils/file-drop.js';
+import { DiagnosticsPanel } from './modules/diagnosticsPanel.js';
 import * as THREE from 'three';
 
 // Configuration
@@ -38,6 +71,7 @@ let tileManager;
 let isDrawingMode = false;
 let ribbon = null;
 let ribbonSeries = null; // For multi-path SVG support
+let pressureWidth = false; // ?width=pressure: drawn ribbons follow pen pressure
 let drawingManager;
 let currentRenderLoop = null; // for restartable WebGL loop
 
@@ -58,10 +92,13 @@ try {
   console.warn('[PointCapture] Failed to load from localStorage:', e);
 }
 
-// Initialize app after user clicks start button
-startAppBtn.addEventListener('click', async () => {
+// Initialize app after user clicks start button (or picks a video)
+// source: undefined for the default tile set, a video File to decode into tiles, or a
+// 'procedural:<name>' generated set
+async function startApp(source) {
   startAppBtn.textContent = 'Initializing...';
   startAppBtn.disabled = true;
+  videoSourceBtn.disabled = true;
 
   try {
     // Choose renderer type (WebGPU preferred, WebGL fallback)
@@ -88,33 +125,74 @@ startAppBtn.addEventListener('click', async () => {
     rendererIndicator.textContent = rendererType.toUpperCase();
     rendererIndicator.className = `renderer-indicator ${rendererType}`;
 
+    // ?clearcache drops downloaded tile archives so they are fetched fresh
+    if (new URLSearchParams(window.location.search).has('clearcache')) {
+      await clearArchiveCache();
+      console.log('[App] Cleared tile archive cache');
+    }
+
     // Initialize tile manager 
     // Default: load from zip file (skating-512.zip)
-    // Other options: 'ktx2-planes', 'ktx2-waves', 'jpg', or any zip filename
+    // Other options: 'ktx2-planes', 'ktx2-waves', 'jpg', any zip filename, a video File,
+    // 'idb:<key>', 'procedural:testcard' (generated, no assets; see proceduralTileSource.js),
+    // or a descriptor such as { type: 'images', folder, extension } (see tileSources.js)
     tileManager = new TileManager({
       // source: 'skating-512.zip', // This is now the default
+      ...(source ? { source } : {}),
       renderer,
       rendererType,
       rotate90: true,
       webgpuMaterialMode: 'node',
-      onProgress: (stage, current, total) => {
-        if (stage === 'downloading') {
-          startAppBtn.textContent = 'Downloading textures...';
-        } else if (stage === 'extracting') {
-          const percentage = Math.round((current / total) * 100);
-          startAppBtn.textContent = `Extracting textures: ${percentage}%`;
-        } else if (stage === 'building') {
-          const percentage = Math.round((current / total) * 100);
-          startAppBtn.textContent = `Building materials: ${percentage}%`;
-        }
-      }
+      // ?strict fails on broken tiles instead of showing solid-colour stand-ins
+      strict: new URLSearchParams(window.location.search).has('strict'),
+      memoryBudget: getTileMemoryBudget(),
+      // ?blend crossfades between layers instead of stepping
+      frameBlend: new URLSearchParams(window.location.search).has('blend'),
+      // ?alpha=mask|blend for tiles with transparency (a tile set's manifest can also say)
+      alphaMode: new URLSearchParams(window.location.search).get('alpha') || 'opaque',
+      // ?shading=lambert|pbr lights the ribbon
+      lighting: { mode: new URLSearchParams(window.location.search).get('shading') || 'unlit' },
+      onProgress: handleTileProgress
     });
-    await tileManager.loadAllTiles();
+    // Only open the source here; tiles are built on demand as ribbon segments ask for them
+    await tileManager.open();
+    // In strict mode, check the whole set before starting
+    if (tileManager.strict) {
+      await tileManager.validate();
+    }
+    strictValidationToggle.checked = tileManager.strict;
+    initTileSetUI(source);
+
+    // ?phase=segment|tile|random|arclength offsets layer playback along the ribbon
+    const phaseParam = new URLSearchParams(window.location.search).get('phase');
+    if (phaseParam) {
+      tileManager.setPhaseMode(phaseParam);
+    }
+    updatePhaseModeUI();
+    initPlaybackUI();
+
+    // ?order=reversed|mirrored|random picks the tile order along the ribbon;
+    // ?tiles=3,1,4,1 uses that list of tile indices (repeated)
+    const orderParams = new URLSearchParams(window.location.search);
+    if (orderParams.has('tiles')) {
+      tileManager.setTileOrder('custom', { indices: parseTileIndices(orderParams.get('tiles')) });
+    } else if (orderParams.has('order')) {
+      tileManager.setTileOrder(orderParams.get('order'));
+    }
+    updateTileOrderUI();
+    updateAlphaModeUI();
+
+    // ?back=color|offset gives the ribbon's back faces their own source
+    initBackFaceUI();
+    const backParam = new URLSearchParams(window.location.search).get('back');
+    if (backParam) {
+      setBackFace(backParam);
+    }
 
     // Create sky sphere for ambient gradient background
     if (threeContext.createSkySphere) {
       try {
-        const firstMaterial = tileManager.isKTX2 ? tileManager.getMaterial(0) : null;
+        const firstMaterial = tileManager.usesArrayTextures ? tileManager.getMaterial(0) : null;
         await threeContext.createSkySphere(firstMaterial);
         console.log('[App] Sky sphere created successfully');
       } catch (err) {
@@ -143,9 +221,32 @@ startAppBtn.addEventListener('click', async () => {
     console.error('Error starting application:', error);
     startAppBtn.textContent = 'Failed to load. Try again?';
     startAppBtn.disabled = false;
+    videoSourceBtn.disabled = false;
   }
+}
+
+// ?procedural=testcard|noise|stripes|gradient|text starts with a generated tile set (works offline)
+startAppBtn.addEventListener('click', () => {
+  const generator = new URLSearchParams(window.location.search).get('procedural');
+  startApp(generator ? `procedural:${generator}` : undefined);
 });
 
+// Video tile source: pick a local video and decode it into tiles
+if (videoSourceBtn && videoFileInput) {
+  videoSourceBtn.addEventListener('click', () => {
+    videoFileInput.click();
+  });
+
+  videoFileInput.addEventListener('change', (e) => {
+    const file = e.target.files && e.target.files[0];
+    // Reset file input so the same file can be selected again if needed
+    videoFileInput.value = '';
+    if (file) {
+      startApp(file);
+    }
+  });
+}
+
 // --- UI toggle for drawing mode ---
 function setDrawingMode(enableDrawing) {
   // console.log('[Main] setDrawingMode', {
@@ -271,6 +372,7 @@ function replayDrawingAtIndex(index) {
   // Replay the drawing through the same pipeline
   if (ribbon && drawing.points.length >= 2) {
     resetCamera();
+    if (pressureWidth) ribbon.setWidthProfile(getPressureWidthProfile(drawing.points));
     const result = ribbon.createRibbonFromDrawing(drawing.points);
     const replaySuccess = ribbon.meshSegments?.length > 0;
     console.log(`[PointCapture] Replay result: ${replaySuccess ? 'SUCCESS' : 'FAILED'}`, {
@@ -385,6 +487,521 @@ if (clearDrawingsBtn) {
 // Initialize history UI on page load
 updateHistoryUI();
 
+// Phase mode button: cycle through TileManager.PHASE_MODES
+function updatePhaseModeUI() {
+  if (!phaseModeBtn) return;
+  phaseModeBtn.textContent = `Phase: ${tileManager ? tileManager.phaseMode : 'unison'}`;
+  phaseModeBtn.disabled = !tileManager || !tileManager.isAnimated;
+}
+
+if (phaseModeBtn) {
+  phaseModeBtn.addEventListener('click', () => {
+    if (!tileManager) return;
+    const modes = TileManager.PHASE_MODES;
+    const next = modes[(modes.indexOf(tileManager.phaseMode) + 1) % modes.length];
+    // Fresh seed each time 'random' comes round, so repeated cycling reshuffles
+    tileManager.setPhaseMode(next, next === 'random' ? { seed: Math.floor(Math.random() * 1000) } : {});
+    updatePhaseModeUI();
+  });
+}
+
+// Tile order picker: how segments map to tiles (TileManager.TILE_ORDERS)
+function parseTileIndices(text) {
+  return String(text || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+}
+
+function updateTileOrderUI() {
+  if (!tileOrderSelect || !tileManager) return;
+  tileOrderSelect.value = tileManager.tileOrder;
+}
+
+if (tileOrderSelect) {
+  tileOrderSelect.addEventListener('change', () => {
+    if (!tileManager) return;
+    const order = tileOrderSelect.value;
+    if (order === 'custom') {
+      const answer = window.prompt(
+        `Tile indices to repeat along the ribbon (0-${tileManager.tileCount - 1}, comma separated):`,
+        tileManager.tileOrderIndices.join(', ')
+      );
+      if (answer !== null) {
+        tileManager.setTileOrder('custom', { indices: parseTileIndices(answer) });
+      }
+    } else {
+      // Fresh seed each time 'random' is picked, so picking it again reshuffles
+      tileManager.setTileOrder(order, order === 'random' ? { seed: Math.floor(Math.random() * 1000) } : {});
+    }
+    updateTileOrderUI();
+    ribbon?.refreshMaterials();
+    ribbonSeries?.refreshMaterials();
+  });
+}
+
+// Debug view button: cycle through TileManager.DEBUG_VIEWS on either renderer
+const DEBUG_VIEW_LABELS = {
+  off: 'tiles',
+  uv: 'UV checker',
+  segment: 'segments',
+  tile: 'tile labels',
+  normals: 'normals',
+  frames: 'frames'
+};
+
+if (materialModeToggleBtn) {
+  materialModeToggleBtn.addEventListener('click', () => {
+    if (!tileManager) return;
+    const views = TileManager.DEBUG_VIEWS;
+    const next = views[(views.indexOf(tileManager.debugView) + 1) % views.length];
+    tileManager.setDebugView(next);
+    materialModeToggleBtn.textContent = `View: ${DEBUG_VIEW_LABELS[next]}`;
+    materialModeToggleBtn.classList.toggle('active', next !== 'off');
+    ribbon?.refreshMaterials();
+    ribbonSeries?.refreshMaterials();
+  });
+}
+
+// Alpha mode picker: opaque, cut-out ('mask') or translucent ('blend') tiles
+function updateAlphaModeUI() {
+  if (!alphaModeSelect || !tileManager) return;
+  alphaModeSelect.value = tileManager.alphaMode;
+}
+
+if (alphaModeSelect) {
+  alphaModeSelect.addEventListener('change', () => {
+    if (!tileManager) return;
+    tileManager.setAlphaMode(alphaModeSelect.value);
+    // Image-tile materials are per segment, so rebuild them with the new mode
+    ribbon?.refreshMaterials();
+    ribbonSeries?.refreshMaterials();
+  });
+}
+
+// GPU memory for tile textures before unused tiles are evicted: ?budget=<MB>,
+// otherwise a conservative default for touch devices (mostly phones and tablets)
+function getTileMemoryBudget() {
+  const budgetMB = Number(new URLSearchParams(window.location.search).get('budget'))
+    || (window.matchMedia('(pointer: coarse)').matches ? 256 : 1024);
+  return budgetMB * 1024 * 1024;
+}
+
+// --- Tile set switching ---
+// Tile sets offered in the picker; any TileManager source works here
+const TILE_SETS = [
+  { label: 'Skating', source: 'skating-512.zip' },
+  { label: 'Planes', source: 'ktx2-planes' },
+  { label: 'Waves', source: 'ktx2-waves' },
+  { label: 'Stills (JPG)', source: 'jpg' },
+  // Generated in the browser, so these work offline
+  { label: 'Test cards', source: 'procedural:testcard' },
+  { label: 'Noise', source: 'procedural:noise' },
+  { label: 'Stripes', source: 'procedural:stripes' },
+  { label: 'Gradients', source: 'procedural:gradient' },
+  { label: 'Scrolling text', source: 'procedural:text' }
+];
+
+let tileSetSwitchId = 0;
+let isSwitchingTileSet = false;
+
+// Loading progress goes on the start button at startup, and next to the picker when switching
+function handleTileProgress(stage, current, total) {
+  const percentage = Math.round((current / total) * 100);
+  let text = null;
+  if (stage === 'downloading') {
+    text = 'Downloading textures...';
+  } else if (stage === 'decoding') {
+    text = `Decoding video: ${percentage}%`;
+  } else if (stage === 'extracting') {
+    text = `Extracting textures: ${percentage}%`;
+  } else if (stage === 'building') {
+    text = `Building materials: ${percentage}%`;
+  }
+  if (!text) return;
+
+  if (!document.body.classList.contains('app-active')) {
+    startAppBtn.textContent = text;
+  } else if (isSwitchingTileSet && tileSetStatus) {
+    tileSetStatus.textContent = text;
+  }
+}
+
+function initTileSetUI(initialSource) {
+  if (!tileSetSelect) return;
+
+  tileSetSelect.replaceChildren(
+    ...TILE_SETS.map((set, index) => new Option(set.label, String(index))),
+    Object.assign(new Option('Custom', 'custom'), { hidden: true })
+  );
+  const initialIndex = TILE_SETS.findIndex(set => set.source === (initialSource ?? 'skating-512.zip'));
+  tileSetSelect.value = initialIndex >= 0 ? String(initialIndex) : 'custom';
+  tileSetStatus.textContent = tileManager.title || '';
+}
+
+/**
+ * Load another tile set into the running app; the current drawing keeps its geometry
+ * @param {*} source - Any TileManager source
+ * @param {string} label - Name to show while loading
+ */
+async function switchTileSet(source, label) {
+  if (!tileManager) return;
+
+  const switchId = ++tileSetSwitchId;
+  isSwitchingTileSet = true;
+  tileSetStatus.textContent = `Loading ${label}...`;
+
+  try {
+    const opening = tileManager.setSource(source);
+    // Segments show placeholders until the new tiles arrive
+    ribbon?.refreshMaterials();
+    ribbonSeries?.refreshMaterials();
+    await opening;
+    if (tileManager.strict) {
+      await tileManager.validate();
+    }
+
+    if (switchId !== tileSetSwitchId) return;
+    tileSetStatus.textContent = tileManager.title || label;
+    updatePhaseModeUI();
+    updateAlphaModeUI(); // The new set's manifest may choose an alpha mode
+    initPlaybackUI();
+    console.log(`[App] Switched tile set to ${label}`);
+  } catch (error) {
+    // A newer switch cancels this one
+    if (switchId !== tileSetSwitchId || error?.name === 'AbortError') return;
+    console.error('[App] Failed to switch tile set:', error);
+    tileSetStatus.textContent = error?.name === 'TileValidationError'
+      ? `${label} failed validation`
+      : `Couldn't load ${label}`;
+    if (error?.report) {
+      diagnostics.toggle(true);
+      diagnostics.render(error.report, tileManager.getMemoryStats());
+    }
+  } finally {
+    if (switchId === tileSetSwitchId) {
+      isSwitchingTileSet = false;
+    }
+  }
+}
+
+// Dropped or picked files: a zip or video on its own, otherwise a set of tile files
+function switchTileSetFromFiles(files) {
+  if (files.length === 0) return;
+  tileSetSelect.value = 'custom';
+  const label = files.length === 1 ? files[0].name : `${files.length} files`;
+  switchTileSet(files.length === 1 ? files[0] : files, label);
+}
+
+if (tileSetSelect) {
+  tileSetSelect.addEventListener('change', () => {
+    const set = TILE_SETS[Number(tileSetSelect.value)];
+    if (set) {
+      switchTileSet(set.source, set.label);
+    }
+  });
+
+  openTilesBtn.addEventListener('click', () => {
+    tileFilesInput.click();
+  });
+
+  tileFilesInput.addEventListener('change', () => {
+    const files = Array.from(tileFilesInput.files || []);
+    // Reset file input so the same files can be selected again if needed
+    tileFilesInput.value = '';
+    switchTileSetFromFiles(files);
+  });
+}
+
+// --- Back faces ---
+// A second tile manager supplies the back faces when they show another tile set
+let backTileManager = null;
+let backTileSetValue = null; // Picker value of the tile set it shows
+
+function initBackFaceUI() {
+  if (!backFaceSelect) return;
+  backFaceSelect.append(...TILE_SETS.map((set, index) => new Option(`Back: ${set.label}`, `set:${index}`)));
+  updateBackFaceUI();
+}
+
+function updateBackFaceUI() {
+  if (!backFaceSelect || !tileManager) return;
+  const { mode } = tileManager.backFace;
+  backFaceSelect.value = mode === 'tileset' ? backTileSetValue : mode;
+}
+
+/**
+ * @param {string} value - A back-face mode, or 'set:<index>' for a tile set from TILE_SETS
+ */
+function setBackFace(value) {
+  if (!tileManager) return;
+
+  const set = value.startsWith('set:') ? TILE_SETS[Number(value.slice(4))] : null;
+  if (set) {
+    if (!backTileManager) {
+      // Same memory budget and strictness as the front tile set
+      backTileManager = new TileManager({
+        source: set.source,
+        renderer,
+        rendererType,
+        rotate90: true,
+        strict: tileManager.strict,
+        memoryBudget: tileManager.memoryBudget
+      });
+    } else {
+      backTileManager.setSource(set.source).catch(error => {
+        if (error?.name !== 'AbortError') console.error('[App] Failed to load back tile set:', error);
+      });
+    }
+    backTileSetValue = value;
+    tileManager.setBackFace('tileset', { tileManager: backTileManager });
+  } else {
+    // Offset by half the layers, so the two sides are as far apart in time as they can be
+    tileManager.setBackFace(value, { frameOffset: Math.max(1, Math.floor(tileManager.getLayerCount() / 2)) });
+  }
+  // Image-tile materials are per segment, so rebuild them
+  ribbon?.refreshMaterials();
+  ribbonSeries?.refreshMaterials();
+  updateBackFaceUI();
+}
+
+if (backFaceSelect) {
+  backFaceSelect.addEventListener('change', () => setBackFace(backFaceSelect.value));
+}
+
+// Drag a zip, video, or folder / selection of tiles anywhere onto the page
+let dragDepth = 0;
+
+window.addEventListener('dragenter', (e) => {
+  if (!tileManager || !e.dataTransfer?.types.includes('Files')) return;
+  dragDepth++;
+  dropOverlay.hidden = false;
+});
+
+window.addEventListener('dragleave', () => {
+  if (dragDepth === 0) return;
+  dragDepth--;
+  if (dragDepth === 0) dropOverlay.hidden = true;
+});
+
+window.addEventListener('dragover', (e) => {
+  if (!tileManager) return;
+  e.preventDefault(); // Allow dropping
+});
+
+window.addEventListener('drop', async (e) => {
+  if (!tileManager) return;
+  e.preventDefault();
+  dragDepth = 0;
+  dropOverlay.hidden = true;
+  switchTileSetFromFiles(await getDroppedFiles(e.dataTransfer));
+});
+
+// --- Tile diagnostics ---
+const diagnostics = new DiagnosticsPanel({
+  panel: diagnosticsPanel,
+  summary: diagnosticsSummary,
+  issueList: diagnosticsIssues
+});
+let diagnosticsTimer = null;
+let isValidating = false;
+
+function refreshDiagnostics() {
+  if (tileManager && !isValidating) {
+    diagnostics.render(tileManager.getReport(), tileManager.getMemoryStats());
+  }
+}
+
+function setDiagnosticsOpen(open) {
+  diagnostics.toggle(open);
+  diagnosticsBtn.classList.toggle('active', open);
+  clearInterval(diagnosticsTimer);
+  diagnosticsTimer = null;
+  if (open) {
+    refreshDiagnostics();
+    // Tiles keep loading on demand, so keep the report current while it's visible
+    diagnosticsTimer = setInterval(refreshDiagnostics, 1000);
+  }
+}
+
+diagnosticsBtn.addEventListener('click', () => setDiagnosticsOpen(!diagnostics.isOpen));
+diagnosticsCloseBtn.addEventListener('click', () => setDiagnosticsOpen(false));
+
+strictValidationToggle.addEventListener('change', () => {
+  if (tileManager) {
+    tileManager.strict = strictValidationToggle.checked;
+  }
+  if (backTileManager) {
+    backTileManager.strict = strictValidationToggle.checked;
+  }
+});
+
+validateTilesBtn.addEventListener('click', async () => {
+  if (!tileManager || isValidating) return;
+  isValidating = true;
+  validateTilesBtn.disabled = true;
+  diagnostics.showMessage('Validating every tile...');
+  try {
+    const report = await tileManager.validate();
+    diagnostics.render(report, tileManager.getMemoryStats());
+  } catch (error) {
+    if (error?.report) {
+      diagnostics.render(error.report, tileManager.getMemoryStats());
+    } else if (error?.name !== 'AbortError') {
+      console.error('[App] Validation failed:', error);
+      diagnostics.showMessage(`Validation failed: ${error?.message || error}`);
+    }
+  } finally {
+    isValidating = false;
+    validateTilesBtn.disabled = false;
+  }
+});
+
+// --- Colour grading ---
+const gradingInputs = Array.from(gradingPanel?.querySelectorAll('[data-grading]') || []);
+
+// Show the tile manager's current grade in the panel
+function updateGradingUI() {
+  if (!tileManager) return;
+  gradingInputs.forEach(input => {
+    input.value = String(tileManager.grading[input.dataset.grading]);
+  });
+}
+
+function setGradingOpen(open) {
+  gradingPanel.hidden = !open;
+  gradingBtn.classList.toggle('active', open);
+  if (open) {
+    updateGradingUI();
+    updateLightingUI();
+  }
+}
+
+if (gradingPanel) {
+  gradingBtn.addEventListener('click', () => setGradingOpen(gradingPanel.hidden));
+  gradingCloseBtn.addEventListener('click', () => setGradingOpen(false));
+
+  gradingInputs.forEach(input => {
+    input.addEventListener('input', () => {
+      const key = input.dataset.grading;
+      const value = input.type === 'range' ? Number(input.value) : input.value;
+      tileManager?.setGrading({ [key]: value });
+    });
+  });
+
+  gradingResetBtn.addEventListener('click', () => {
+    tileManager?.resetGrading();
+    updateGradingUI();
+  });
+}
+
+// Lighting controls share the grading panel
+const lightingInputs = Array.from(gradingPanel?.querySelectorAll('[data-lighting]') || []);
+
+function updateLightingUI() {
+  if (!tileManager) return;
+  const { lighting } = tileManager;
+  const values = {
+    mode: lighting.mode,
+    ambient: lighting.ambient.intensity,
+    keyLight: lighting.lights[0]?.intensity ?? 0,
+    roughness: lighting.roughness,
+    metalness: lighting.metalness
+  };
+  lightingInputs.forEach(input => {
+    input.value = String(values[input.dataset.lighting]);
+  });
+}
+
+lightingInputs.forEach(input => {
+  input.addEventListener('input', () => {
+    if (!tileManager) return;
+    const key = input.dataset.lighting;
+    const value = input.type === 'range' ? Number(input.value) : input.value;
+    if (key === 'ambient') {
+      tileManager.setLighting({ ambient: { intensity: value } });
+    } else if (key === 'keyLight') {
+      const lights = tileManager.lighting.lights.map((light, i) => (i === 0 ? { ...light, intensity: value } : light));
+      tileManager.setLighting({ lights });
+    } else {
+      tileManager.setLighting({ [key]: value });
+    }
+  });
+});
+
+// --- Layer playback transport ---
+let isScrubbing = false;
+let wasPlayingBeforeScrub = false;
+
+function initPlaybackUI() {
+  if (!playbackControls) return;
+  playbackControls.hidden = !tileManager.isAnimated;
+  playbackRateSelect.value = String(tileManager.playbackRate);
+  playbackModeSelect.value = tileManager.playbackMode;
+  frameBlendToggle.checked = tileManager.frameBlend;
+  // Image tiles move a sprite-sheet offset, which can't crossfade
+  frameBlendToggle.disabled = !tileManager.usesArrayTextures;
+}
+
+// Called every frame from the render loop so the scrubber follows playback
+function updatePlaybackUI() {
+  if (!playbackControls || playbackControls.hidden || !tileManager) return;
+
+  const { isPlaying, layer, layerCount } = tileManager.getPlaybackState();
+  const label = isPlaying ? 'Pause' : 'Play';
+  if (playPauseBtn.textContent !== label) {
+    playPauseBtn.textContent = label;
+  }
+
+  const max = String(Math.max(0, layerCount - 1));
+  if (timelineScrubber.max !== max) {
+    timelineScrubber.max = max;
+  }
+  if (!isScrubbing && timelineScrubber.value !== String(layer)) {
+    timelineScrubber.value = String(layer);
+  }
+  frameReadout.textContent = `${layer + 1} / ${layerCount}`;
+}
+
+if (playbackControls) {
+  playPauseBtn.addEventListener('click', () => {
+    tileManager?.togglePlayback();
+  });
+
+  // Hold playback while dragging, then resume if it was playing
+  timelineScrubber.addEventListener('pointerdown', () => {
+    if (!tileManager || isScrubbing) return;
+    isScrubbing = true;
+    wasPlayingBeforeScrub = tileManager.isPlaying;
+    tileManager.pause();
+  });
+
+  timelineScrubber.addEventListener('input', () => {
+    tileManager?.seek(Number(timelineScrubber.value));
+  });
+
+  timelineScrubber.addEventListener('change', () => {
+    if (!tileManager) return;
+    tileManager.seek(Number(timelineScrubber.value));
+    if (isScrubbing && wasPlayingBeforeScrub) {
+      tileManager.play();
+    }
+    isScrubbing = false;
+  });
+
+  playbackRateSelect.addEventListener('change', () => {
+    tileManager?.setPlaybackRate(Number(playbackRateSelect.value));
+  });
+
+  playbackModeSelect.addEventListener('change', () => {
+    tileManager?.setPlaybackMode(playbackModeSelect.value);
+  });
+
+  frameBlendToggle.addEventListener('change', () => {
+    tileManager?.setFrameBlend(frameBlendToggle.checked);
+  });
+}
+
 // Truncate toggle button
 truncateToggleBtn.addEventListener('click', () => {
   if (ribbon) {
@@ -417,6 +1034,31 @@ async function initializeRibbon() {
     ribbonSeries = new RibbonSeries(scene);
     ribbonSeries.setTileManager(tileManager);
 
+    // ?ends=stretch|trim changes how the last, partial segment of a path is drawn
+    const endMode = new URLSearchParams(window.location.search).get('ends');
+    if (endMode) {
+      ribbon.setEndMode(endMode);
+      ribbonSeries.setEndMode(endMode);
+    }
+
+    // ?width=taper|taper-in|taper-out|swell shapes the ribbon like a brush stroke;
+    // ?width=pressure makes drawn ribbons wider where the pen presses harder
+    const widthProfile = new URLSearchParams(window.location.search).get('width');
+    if (widthProfile === 'pressure') {
+      pressureWidth = true;
+    } else if (widthProfile) {
+      ribbon.setWidthProfile(widthProfile);
+      ribbonSeries.setWidthProfile(ribbon.widthProfile);
+    }
+
+    // ?twist=<degrees> twists each path by that much from end to end (360 is a full turn);
+    // ?twist=curvature twists as the path bends
+    const twistParam = new URLSearchParams(window.location.search).get('twist');
+    if (twistParam) {
+      ribbon.setTwist(twistParam === 'curvature' ? { curvature: 1 } : Number(twistParam));
+      ribbonSeries.setTwist(ribbon.twist);
+    }
+
     // Set initial button state
     truncateToggleBtn.classList.toggle('active', ribbon.truncateSegments);
 
@@ -467,15 +1109,6 @@ function handleOrientationChange() {
   setTimeout(() => {
     resizeCanvas();
 
-    // Also update slit scanner canvas if it exists
-    if (slitScanner && slitScanner.canvas) {
-      // The slit scanner may need to adjust its dimensions
-      // based on the new orientation
-      const videoAspect = slitScanner.canvas.width / slitScanner.canvas.height;
-      // Keep the existing width but ensure proper display
-      slitScanner.texture?.needsUpdate && (slitScanner.texture.needsUpdate = true);
-    }
-
     // Force a re-render to ensure proper display
     if (ribbon) {
       ribbon.update(performance.now() / 1000);
@@ -514,8 +1147,16 @@ if (window.visualViewport) {
 resizeCanvas();
 
 // --- Drawing callback ---
+
+// Width profile following a stroke's pen pressure (null if it wasn't recorded). Mouse and
+// touch report 0.5 while pressed, which gives the base width.
+function getPressureWidthProfile(stroke) {
+  if (!stroke.every(p => typeof p.pressure === 'number')) return null;
+  return createPointWidthProfile(stroke, stroke.map(p => Math.max(0.1, p.pressure * 2)));
+}
+
 function handleDrawingComplete(strokesData) {
-  // strokesData is now Array<Array<{x,y}>> for multi-stroke
+  // strokesData is now Array<Array<{x,y,pressure}>> for multi-stroke
   // Determine if this is multi-stroke data
   const isMultiStroke = Array.isArray(strokesData) && strokesData.length > 0 && Array.isArray(strokesData[0]);
 
@@ -562,27 +1203,35 @@ function handleDrawingComplete(strokesData) {
 
     // Step 1: Convert all strokes to raw 3D points (NO per-stroke normalization)
     // This preserves the relative spatial arrangement between strokes
-    const rawPathsPoints = strokesData.map(stroke =>
+    const strokes = strokesData.filter(stroke => stroke.length >= 2);
+    const rawPathsPoints = strokes.map(stroke =>
       stroke.map(p => new THREE.Vector3(
         p.x,
         -p.y,  // Flip Y to match THREE.js coordinates (screen Y is down, 3D Y is up)
         0
       ))
-    ).filter(points => points.length >= 2);
+    );
 
     if (rawPathsPoints.length > 0) {
       // Step 2: Normalize all paths TOGETHER using combined bounding box
       // This preserves relative positions between strokes
       const normalizedPaths = normalizePointsMultiPath(rawPathsPoints);
 
-      // Step 3: Sanitize and smooth each normalized path
-      const processedPaths = normalizedPaths.map(points => {
+      // Step 3: Sanitize and smooth each normalized path, keeping track of its stroke
+      const processedPaths = [];
+      const processedStrokes = [];
+      normalizedPaths.forEach((points, i) => {
         const sanitized = ribbon.sanitizePoints(points);
-        return ribbon.smoothPoints(sanitized, 150);
-      }).filter(points => points.length >= 2);
+        const smoothed = ribbon.smoothPoints(sanitized, 150);
+        if (smoothed.length >= 2) {
+          processedPaths.push(smoothed);
+          processedStrokes.push(strokes[i]);
+        }
+      });
 
       if (processedPaths.length > 0) {
         // Step 4: Build ribbon series
+        ribbonSeries.setWidthProfiles(pressureWidth ? processedStrokes.map(getPressureWidthProfile) : null);
         ribbonSeries.buildFromMultiplePaths(processedPaths, 1.2);
         totalSegments = ribbonSeries.getTotalSegmentCount();
         creationSuccess = totalSegments > 0;
@@ -602,6 +1251,7 @@ function handleDrawingComplete(strokesData) {
     // Clean up existing ribbon series
     if (ribbonSeries) ribbonSeries.cleanup();
 
+    if (pressureWidth) ribbon.setWidthProfile(getPressureWidthProfile(singleStroke));
     const result = ribbon.createRibbonFromDrawing(singleStroke);
     totalSegments = ribbon.meshSegments?.length || 0;
     creationSuccess = totalSegments > 0;
@@ -659,6 +1309,7 @@ function startRenderLoop() {
       const time = performance.now() / 1000;
       // Advance KTX2 layer cycling (no-op for JPG mode)
       tileManager?.tick?.(performance.now());
+      updatePlaybackUI();
       updateAnimatedRibbon(time);
       controls.update();
       renderer.render(scene, camera);
@@ -686,6 +1337,7 @@ function startRenderLoop() {
       const time = performance.now() / 1000;
       // Advance KTX2 layer cycling (no-op for JPG mode)
       tileManager?.tick?.(performance.now());
+      updatePlaybackUI();
       updateAnimatedRibbon(time);
       controls.update();
       renderer.render(scene, camera);
@@ -794,7 +1446,8 @@ if (importSvgBtn && fileInput) {
             ribbon.dispose();
           }
 
-          // Build ribbon series from all paths
+          // Build ribbon series from all paths (without a previous drawing's pressure)
+          ribbonSeries.setWidthProfiles(null);
           ribbonSeries.buildFromMultiplePaths(normalizedPaths, 1.2);
           console.log(`[App] Imported SVG with ${pathsPoints.length} path(s), ${ribbonSeries.getTotalSegmentCount()} total segments`);
         } else {
@@ -0,0 +1,134 @@
+/**
+ * Archive cache - keeps downloaded tile archives in Cache Storage between visits
+ *
+ * Entries are keyed by the archive's canonical URL plus a version string, so
+ * publishing a new version of an archive means bumping its version. When a new
+ * version is stored, older versions of the same URL are evicted straight away.
+ */
+
+const CACHE_NAME = 'rivvon-archives';
+const VERSION_PARAM = 'rivvon-version';
+
+function isAvailable() {
+    return typeof caches !== 'undefined';
+}
+
+/**
+ * Build the cache key for an archive
+ * @param {string} url - Canonical archive URL (not a proxied URL)
+ * @param {string} version - Version or content hash of the archive
+ * @returns {string}
+ */
+function getCacheKey(url, version) {
+    const key = new URL(url, window.location.href);
+    key.searchParams.set(VERSION_PARAM, version);
+    return key.href;
+}
+
+function stripVersion(cacheKey) {
+    const url = new URL(cacheKey);
+    url.searchParams.delete(VERSION_PARAM);
+    return url.href;
+}
+
+/**
+ * Look up a cached archive
+ * @param {string} url - Canonical archive URL
+ * @param {string} version - Expected version
+ * @returns {Promise<ArrayBuffer|null>} The archive, or null on a miss
+ */
+export async function getCachedArchive(url, version) {
+    if (!isAvailable()) return null;
+
+    try {
+        const cache = await caches.open(CACHE_NAME);
+        const response = await cache.match(getCacheKey(url, version));
+        if (!response) return null;
+
+        const buffer = await response.arrayBuffer();
+        console.log(`[ArchiveCache] Hit for ${url} (version ${version}), ${buffer.byteLength} bytes`);
+        return buffer;
+    } catch (error) {
+        console.warn('[ArchiveCache] Lookup failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Store an archive and evict any other versions of the same URL
+ * @param {string} url - Canonical archive URL
+ * @param {string} version - Version of the archive being stored
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Promise<boolean>} Whether the archive was stored
+ */
+export async function putCachedArchive(url, version, buffer) {
+    if (!isAvailable()) return false;
+
+    try {
+        const cache = await caches.open(CACHE_NAME);
+        await evictStaleArchives(url, version, cache);
+        await cache.put(getCacheKey(url, version), new Response(buffer, {
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Length': String(buffer.byteLength)
+            }
+        }));
+        console.log(`[ArchiveCache] Stored ${url} (version ${version}), ${buffer.byteLength} bytes`);
+        return true;
+    } catch (error) {
+        // Quota errors and private browsing land here; the archive still works uncached
+        console.warn('[ArchiveCache] Failed to store archive:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove every cached version of an archive except `keepVersion`
+ * @param {string} url - Canonical archive URL
+ * @param {string|null} keepVersion - Version to keep, or null to remove all versions
+ * @param {Cache} cache - Open cache (opened if omitted)
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function evictStaleArchives(url, keepVersion = null, cache = null) {
+    if (!isAvailable()) return 0;
+
+    cache = cache || await caches.open(CACHE_NAME);
+    const target = stripVersion(getCacheKey(url, ''));
+    const keep = keepVersion !== null ? getCacheKey(url, keepVersion) : null;
+
+    let removed = 0;
+    for (const request of await cache.keys()) {
+        if (request.url !== keep && stripVersion(request.url) === target) {
+            await cache.delete(request);
+            removed++;
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`[ArchiveCache] Evicted ${removed} stale entr${removed === 1 ? 'y' : 'ies'} for ${url}`);
+    }
+    return removed;
+}
+
+/**
+ * List cached archives
+ * @returns {Promise<Array<{url: string, version: string}>>}
+ */
+export async function listCachedArchives() {
+    if (!isAvailable()) return [];
+
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.keys()).map(request => ({
+        url: stripVersion(request.url),
+        version: new URL(request.url).searchParams.get(VERSION_PARAM)
+    }));
+}
+
+/**
+ * Drop the whole archive cache
+ * @returns {Promise<boolean>}
+ */
+export async function clearArchiveCache() {
+    if (!isAvailable()) return false;
+    return caches.delete(CACHE_NAME);
+}
@@ -0,0 +1,164 @@
+/**
+ * Colour grading for tile materials
+ *
+ * Every tile material (array textures on WebGL and WebGPU, and image tiles) samples its
+ * texture without hardware decoding and runs the same steps, so the grade looks the same
+ * on both renderers and every setting can change live through uniforms:
+ *
+ *   raw texel -> linear light (decoded first if the data is sRGB)
+ *             -> exposure and tint
+ *             -> display sRGB -> contrast, saturation, hue shift
+ *             -> output (WebGL writes display values; WebGPU decodes, the renderer re-encodes)
+ *
+ * GRADING_GLSL and gradeColorNode() are the WebGL and TSL versions of the same maths;
+ * keep them in step.
+ */
+
+import * as THREE from 'three';
+import { uniform, vec4, exp2, max, clamp, hue, saturation, sRGBTransferEOTF, sRGBTransferOETF } from 'three/tsl';
+
+/**
+ * Colour space of the tile data: 'auto' uses the tile set's manifest (sRGB when it doesn't say)
+ */
+export const GRADING_COLOR_SPACES = ['auto', 'srgb', 'linear'];
+
+export const DEFAULT_GRADING = {
+    exposure: 0,       // Stops: +1 doubles the light, -1 halves it
+    contrast: 1,       // Around mid-grey; 1 leaves it unchanged
+    saturation: 1,     // 0 is greyscale
+    hueShift: 0,       // Degrees
+    tint: '#ffffff',   // Multiplies the colour (white leaves it unchanged)
+    colorSpace: 'auto' // See GRADING_COLOR_SPACES
+};
+
+/**
+ * Check a partial grading update and merge it over the current settings
+ * @param {Object} current - Current settings (see DEFAULT_GRADING)
+ * @param {Object} changes - Settings to change
+ * @returns {Object} New settings
+ */
+export function mergeGrading(current, changes = {}) {
+    const grading = { ...current };
+    for (const key of ['exposure', 'contrast', 'saturation', 'hueShift']) {
+        if (changes[key] === undefined) continue;
+        if (!Number.isFinite(changes[key])) {
+            throw new Error(`Grading ${key} must be a number (got ${changes[key]})`);
+        }
+        grading[key] = changes[key];
+    }
+    if (changes.tint !== undefined) {
+        grading.tint = changes.tint;
+    }
+    if (changes.colorSpace !== undefined) {
+        if (!GRADING_COLOR_SPACES.includes(changes.colorSpace)) {
+            throw new Error(`Grading colorSpace must be one of ${GRADING_COLOR_SPACES.join(', ')} (got "${changes.colorSpace}")`);
+        }
+        grading.colorSpace = changes.colorSpace;
+    }
+    return grading;
+}
+
+/**
+ * Uniform objects for the WebGL shaders. Materials share these objects, so setting a
+ * value applies to every tile at once.
+ * @returns {Object}
+ */
+export function createGradingUniforms() {
+    return {
+        uExposure: { value: DEFAULT_GRADING.exposure },
+        uContrast: { value: DEFAULT_GRADING.contrast },
+        uSaturation: { value: DEFAULT_GRADING.saturation },
+        uHueShift: { value: 0 }, // Radians
+        uTint: { value: new THREE.Color(DEFAULT_GRADING.tint) }, // Linear RGB
+        uDataSRGB: { value: 1 } // 1 if the tile data is sRGB-encoded, 0 if linear
+    };
+}
+
+/**
+ * Copy grading settings into the WebGL uniform objects or the TSL uniform nodes
+ * @param {Object} uniforms - From createGradingUniforms() or createGradingNodes()
+ * @param {Object} grading - Settings (see DEFAULT_GRADING)
+ * @param {boolean} dataIsSRGB - Resolved colour space of the tile data
+ */
+export function applyGradingUniforms(uniforms, grading, dataIsSRGB) {
+    uniforms.uExposure.value = grading.exposure;
+    uniforms.uContrast.value = grading.contrast;
+    uniforms.uSaturation.value = grading.saturation;
+    uniforms.uHueShift.value = THREE.MathUtils.degToRad(grading.hueShift);
+    uniforms.uTint.value.set(grading.tint);
+    uniforms.uDataSRGB.value = dataIsSRGB ? 1 : 0;
+}
+
+/**
+ * GLSL declarations for the grading uniforms and gradeTileColor(). gradeTileColor() takes
+ * a raw texel and returns the graded display (sRGB-encoded) colour.
+ */
+export const GRADING_GLSL = /* glsl */`
+    uniform float uExposure;
+    uniform float uContrast;
+    uniform float uSaturation;
+    uniform float uHueShift;
+    uniform vec3 uTint;
+    uniform int uDataSRGB;
+
+    vec3 gradingLinearToSRGB(vec3 c) {
+        return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(vec3(0.0031308), c));
+    }
+
+    vec3 gradingSRGBToLinear(vec3 c) {
+        return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(vec3(0.04045), c));
+    }
+
+    vec3 gradeTileColor(vec3 raw) {
+        vec3 light = uDataSRGB == 1 ? gradingSRGBToLinear(raw) : raw;
+        light = max(light * exp2(uExposure) * uTint, 0.0);
+        vec3 c = gradingLinearToSRGB(light);
+        c = (c - 0.5) * uContrast + 0.5;
+        c = mix(vec3(dot(c, vec3(0.2126, 0.7152, 0.0722))), c, uSaturation);
+        // Rotate around the grey axis
+        const vec3 k = vec3(0.57735);
+        float cosHue = cos(uHueShift);
+        c = c * cosHue + cross(k, c) * sin(uHueShift) + k * dot(k, c) * (1.0 - cosHue);
+        return clamp(c, 0.0, 1.0);
+    }
+`;
+
+/**
+ * TSL uniform nodes for the WebGPU materials. Unlike the per-material playback uniforms,
+ * these nodes are shared by every material (including image-tile materials the ribbons
+ * create), so setting one value updates all tiles.
+ * @returns {Object}
+ */
+export function createGradingNodes() {
+    const uniforms = createGradingUniforms();
+    return Object.fromEntries(Object.entries(uniforms).map(([name, { value }]) => [name, uniform(value)]));
+}
+
+/**
+ * Grade a raw texel for the WebGPU renderer (TSL version of gradeTileColor()). The result
+ * is linear, as the WebGPU renderer encodes its output.
+ * @param {Node} rawColor - vec4 texel sampled without colour-space decoding
+ * @param {Object} nodes - From createGradingNodes()
+ * @returns {Node} vec4
+ */
+export function gradeColorNode(rawColor, nodes) {
+    const raw = rawColor.rgb;
+    const light = nodes.uDataSRGB.equal(1).select(sRGBTransferEOTF(raw), raw)
+        .mul(exp2(nodes.uExposure)).mul(nodes.uTint);
+    let c = sRGBTransferOETF(max(light, 0));
+    c = c.sub(0.5).mul(nodes.uContrast).add(0.5);
+    c = saturation(c, nodes.uSaturation);
+    c = hue(c, nodes.uHueShift);
+    return vec4(sRGBTransferEOTF(clamp(c, 0, 1)), rawColor.a);
+}
+
+/**
+ * Resolve the grading colour space to whether the tile data is sRGB-encoded
+ * @param {string} colorSpace - Grading colour space (see GRADING_COLOR_SPACES)
+ * @param {string} tileSetColorSpace - From the manifest: 'srgb' or 'linear'
+ * @returns {boolean}
+ */
+export function isDataSRGB(colorSpace, tileSetColorSpace) {
+    const resolved = colorSpace === 'auto' ? tileSetColorSpace : colorSpace;
+    return resolved !== 'linear';
+}
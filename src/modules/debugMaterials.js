@@ -0,0 +1,267 @@
+/**
+ * Debug views for ribbon segments, on both renderers
+ *
+ * Views (see DEBUG_VIEWS):
+ * - 'uv':      checker coloured by the UVs a tile is sampled with (after rotate90 and the
+ *              V flip): red grows along u, green along v, and a white square marks the tile
+ *              image's top-left corner
+ * - 'segment': a colour per segment index, darker at the start of each segment
+ * - 'tile':    a label with the tile index, drawn the way a tile image would be
+ * - 'normals': world-space normals as colour
+ * - 'frames':  the normal tile materials, plus lines at each segment showing the
+ *              tangent (red), the across-ribbon direction (green) and the normal (blue)
+ */
+
+import * as THREE from 'three';
+import * as THREE_WEBGPU from 'three/webgpu';
+import {
+    texture, uniform, uv, float, vec2, vec3, attribute, floor, fract, mod, abs, mix, clamp,
+    normalWorld, sRGBTransferEOTF
+} from 'three/tsl';
+
+export const DEBUG_VIEWS = ['off', 'uv', 'segment', 'tile', 'normals', 'frames'];
+
+// Views drawn with their own material (the rest keep the tile materials)
+const MATERIAL_VIEWS = ['uv', 'segment', 'tile', 'normals'];
+
+const LABEL_SIZE = 256;
+
+export class DebugMaterials {
+    /**
+     * @param {Object} options
+     * @param {string} options.rendererType - 'webgl' or 'webgpu'
+     * @param {Object} options.rotateUniform - TileManager's shared rotate90 uniform ({ value })
+     */
+    constructor({ rendererType, rotateUniform }) {
+        this.rendererType = rendererType;
+        this.rotateUniform = rotateUniform;
+        this.rotateNode = rendererType === 'webgpu' ? uniform(rotateUniform.value) : null;
+        this.materials = new Map(); // 'view' or 'tile:<index>' -> material
+        this.labels = new Map(); // tile index -> CanvasTexture
+    }
+
+    /**
+     * @param {string} view - One of DEBUG_VIEWS
+     * @returns {boolean} Whether the view replaces the tile materials
+     */
+    static usesMaterial(view) {
+        return MATERIAL_VIEWS.includes(view);
+    }
+
+    /**
+     * Material for a segment in a debug view, shared between segments where possible
+     * @param {string} view - One of DEBUG_VIEWS
+     * @param {number} tileIndex - Tile the segment would show
+     * @returns {THREE.Material|null} null for views that keep the tile materials
+     */
+    get(view, tileIndex) {
+        if (!DebugMaterials.usesMaterial(view)) return null;
+
+        const key = view === 'tile' ? `tile:${tileIndex}` : view;
+        if (!this.materials.has(key)) {
+            const label = view === 'tile' ? this.#getLabel(tileIndex) : null;
+            const material = this.rendererType === 'webgpu'
+                ? this.#createMaterialWebGPU(view, label)
+                : this.#createMaterialWebGL(view, label);
+            material.side = THREE.DoubleSide;
+            material.userData.debugView = view; // Ribbons don't dispose shared debug materials
+            this.materials.set(key, material);
+        }
+        return this.materials.get(key);
+    }
+
+    /**
+     * Follow TileManager.setRotate90() (the WebGL shaders read the shared uniform directly)
+     * @param {boolean} flag
+     */
+    setRotate90(flag) {
+        if (this.rotateNode) {
+            this.rotateNode.value = flag ? 1 : 0;
+        }
+    }
+
+    dispose() {
+        this.materials.forEach(material => material.dispose());
+        this.labels.forEach(label => label.dispose());
+        this.materials.clear();
+        this.labels.clear();
+    }
+
+    // Tile index label, stored top row first (flipY off) like the KTX2 tiles, so it comes
+    // out the way a real tile would
+    #getLabel(tileIndex) {
+        if (!this.labels.has(tileIndex)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = LABEL_SIZE;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = `hsl(${tileIndex * 11}, 60%, 35%)`;
+            ctx.fillRect(0, 0, LABEL_SIZE, LABEL_SIZE);
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 6;
+            ctx.strokeRect(3, 3, LABEL_SIZE - 6, LABEL_SIZE - 6);
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, LABEL_SIZE * 0.12, LABEL_SIZE * 0.12); // Top-left marker, as in the UV view
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = `bold ${LABEL_SIZE * 0.45}px sans-serif`;
+            ctx.fillText(String(tileIndex), LABEL_SIZE / 2, LABEL_SIZE * 0.55);
+            ctx.font = `${LABEL_SIZE * 0.1}px sans-serif`;
+            ctx.fillText('▲ top', LABEL_SIZE / 2, LABEL_SIZE * 0.12);
+
+            const label = new THREE.CanvasTexture(canvas);
+            label.flipY = false;
+            label.colorSpace = THREE.LinearSRGBColorSpace; // Raw values, like the tile textures
+            this.labels.set(tileIndex, label);
+        }
+        return this.labels.get(tileIndex);
+    }
+
+    #createMaterialWebGL(view, label) {
+        return new THREE.ShaderMaterial({
+            glslVersion: THREE.GLSL3,
+            defines: { DEBUG_VIEW: MATERIAL_VIEWS.indexOf(view) },
+            uniforms: {
+                uRotate90: this.rotateUniform,
+                uLabel: { value: label }
+            },
+            vertexShader: /* glsl */`
+                in vec2 segmentPhase;
+                out vec2 vUv;
+                out vec2 vSegmentPhase;
+                out vec3 vNormal;
+                void main() {
+                    vUv = uv;
+                    vSegmentPhase = segmentPhase;
+                    vNormal = normalize(mat3(modelMatrix) * normal);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: /* glsl */`
+                precision highp float;
+                in vec2 vUv;
+                in vec2 vSegmentPhase; // (segment index, position along segment)
+                in vec3 vNormal;
+                uniform int uRotate90;
+                uniform sampler2D uLabel;
+                out vec4 outColor;
+
+                // Same UVs as the tile shaders: optional 90-degree rotation, then flip V
+                vec2 tileUv() {
+                    vec2 uvR = (uRotate90 == 1) ? vec2(vUv.y, 1.0 - vUv.x) : vUv;
+                    return vec2(uvR.x, 1.0 - uvR.y);
+                }
+
+                vec3 hsv2rgb(vec3 c) {
+                    vec3 p = abs(fract(c.x + vec3(0.0, 2.0 / 3.0, 1.0 / 3.0)) * 6.0 - 3.0);
+                    return c.z * mix(vec3(1.0), clamp(p - 1.0, 0.0, 1.0), c.y);
+                }
+
+                void main() {
+                    vec3 color;
+                #if DEBUG_VIEW == 0
+                    vec2 t = tileUv();
+                    float checker = mod(floor(t.x * 8.0) + floor(t.y * 8.0), 2.0);
+                    color = vec3(t, 0.25) * (0.6 + 0.4 * checker);
+                    if (t.x < 0.12 && t.y < 0.12) color = vec3(1.0);
+                #elif DEBUG_VIEW == 1
+                    color = hsv2rgb(vec3(fract(vSegmentPhase.x * 0.618034), 0.65, 0.9)) * (0.55 + 0.45 * vSegmentPhase.y);
+                #elif DEBUG_VIEW == 2
+                    color = texture(uLabel, tileUv()).rgb;
+                #else
+                    color = normalize(vNormal) * 0.5 + 0.5;
+                #endif
+                    // The WebGL renderer outputs without encoding, so these are display values
+                    outColor = vec4(color, 1.0);
+                }
+            `
+        });
+    }
+
+    #createMaterialWebGPU(view, label) {
+        const baseUV = uv();
+        const rotatedUV = this.rotateNode.equal(1).select(vec2(baseUV.y, float(1).sub(baseUV.x)), baseUV);
+        const t = vec2(rotatedUV.x, float(1).sub(rotatedUV.y));
+        const segmentPhase = attribute('segmentPhase', 'vec2');
+
+        let color;
+        if (view === 'uv') {
+            const checker = mod(floor(t.x.mul(8)).add(floor(t.y.mul(8))), 2);
+            const marker = t.x.lessThan(0.12).and(t.y.lessThan(0.12));
+            color = marker.select(vec3(1), vec3(t.x, t.y, 0.25).mul(checker.mul(0.4).add(0.6)));
+        } else if (view === 'segment') {
+            const p = abs(fract(vec3(fract(segmentPhase.x.mul(0.618034))).add(vec3(0, 2 / 3, 1 / 3))).mul(6).sub(3));
+            color = mix(vec3(1), clamp(p.sub(1), 0, 1), 0.65).mul(0.9).mul(segmentPhase.y.mul(0.45).add(0.55));
+        } else if (view === 'tile') {
+            color = texture(label, t).rgb;
+        } else {
+            color = normalWorld.mul(0.5).add(0.5);
+        }
+
+        const material = new THREE_WEBGPU.MeshBasicNodeMaterial();
+        // Same display values as the WebGL view; the WebGPU renderer encodes its output
+        material.colorNode = sRGBTransferEOTF(color);
+        return material;
+    }
+}
+
+const _left = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _next = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _side = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+/**
+ * Lines showing each segment's frame at its start and middle: tangent (red),
+ * across-ribbon direction (green) and surface normal (blue)
+ * @param {Array<THREE.Mesh>} meshes - Ribbon segment meshes (vertices in left/right pairs)
+ * @returns {THREE.LineSegments|null}
+ */
+export function createFrameHelper(meshes) {
+    const positions = [];
+    const colors = [];
+    const axisColors = [new THREE.Color(1, 0, 0), new THREE.Color(0, 1, 0), new THREE.Color(0, 0.4, 1)];
+
+    meshes.forEach(mesh => {
+        const position = mesh.geometry?.getAttribute('position');
+        const rows = position ? position.count / 2 : 0;
+        if (rows < 2) return;
+
+        for (const row of [0, Math.floor(rows / 2)]) {
+            _left.fromBufferAttribute(position, row * 2);
+            _right.fromBufferAttribute(position, row * 2 + 1);
+            _center.addVectors(_left, _right).multiplyScalar(0.5);
+
+            // Tangent from this row to the next (or from the previous one at the end)
+            const nextRow = row + 1 < rows ? row + 1 : row - 1;
+            _next.fromBufferAttribute(position, nextRow * 2)
+                .add(_tangent.fromBufferAttribute(position, nextRow * 2 + 1))
+                .multiplyScalar(0.5);
+            _tangent.subVectors(_next, _center).multiplyScalar(nextRow > row ? 1 : -1).normalize();
+
+            const length = _left.distanceTo(_right) * 0.4;
+            _side.subVectors(_right, _left).normalize();
+            _normal.crossVectors(_tangent, _side).normalize();
+
+            [_tangent, _side, _normal].forEach((axis, i) => {
+                positions.push(_center.x, _center.y, _center.z);
+                positions.push(
+                    _center.x + axis.x * length,
+                    _center.y + axis.y * length,
+                    _center.z + axis.z * length
+                );
+                colors.push(...axisColors[i].toArray(), ...axisColors[i].toArray());
+            });
+        }
+    });
+
+    if (positions.length === 0) return null;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }));
+    lines.renderOrder = 1; // Draw over the ribbon
+    return lines;
+}
@@ -0,0 +1,92 @@
+/**
+ * DiagnosticsPanel - Shows a tile-set validation report (see tileValidation.js)
+ */
+
+import { formatBytes } from './tileValidation.js';
+
+export class DiagnosticsPanel {
+    /**
+     * @param {Object} elements
+     * @param {HTMLElement} elements.panel - Panel container (toggled with the `hidden` attribute)
+     * @param {HTMLElement} elements.summary - Receives the summary lines
+     * @param {HTMLElement} elements.issueList - Receives one <li> per issue
+     */
+    constructor({ panel, summary, issueList }) {
+        this.panel = panel;
+        this.summary = summary;
+        this.issueList = issueList;
+    }
+
+    get isOpen() {
+        return !this.panel.hidden;
+    }
+
+    toggle(open = !this.isOpen) {
+        this.panel.hidden = !open;
+        return open;
+    }
+
+    /**
+     * @param {Object} report - From TileManager.getReport() / validate()
+     * @param {Object} memoryStats - From TileManager.getMemoryStats() (optional)
+     */
+    render(report, memoryStats = null) {
+        const status = report.ok
+            ? (report.warningCount > 0 ? `OK with ${report.warningCount} warning(s)` : 'OK')
+            : `${report.errorCount} error(s), ${report.warningCount} warning(s)`;
+
+        const rows = [
+            ['Tile set', report.title || report.source],
+            ['Format', report.format],
+            ['Tiles checked', `${report.checkedCount} / ${report.tileCount}`],
+            ['Tile size', `${report.tileSize}px`],
+            ['Layers', String(report.layerCount || 1)],
+            ['GPU memory (tiles checked)', formatBytes(report.gpuBytes)],
+            ['Status', status]
+        ];
+        if (memoryStats) {
+            const budget = Number.isFinite(memoryStats.budget) ? formatBytes(memoryStats.budget) : 'unlimited';
+            rows.push(
+                ['Resident', `${formatBytes(memoryStats.residentBytes)} of ${budget} (${memoryStats.residentTiles} tiles, ${memoryStats.referencedTiles} in use)`],
+                ['Evictions / reloads', `${memoryStats.evictions} / ${memoryStats.reloads}`]
+            );
+        }
+
+        this.summary.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.textContent = `${label}: `;
+            const text = document.createElement('strong');
+            text.textContent = value;
+            row.append(name, text);
+            return row;
+        }));
+        this.summary.classList.toggle('has-errors', !report.ok);
+
+        if (report.issues.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = report.checkedCount < report.tileCount
+                ? 'No issues in the tiles loaded so far'
+                : 'No issues found';
+            this.issueList.replaceChildren(item);
+            return;
+        }
+
+        this.issueList.replaceChildren(...report.issues.map(issue => {
+            const item = document.createElement('li');
+            item.className = `issue-${issue.severity}`;
+            item.textContent = `[${issue.type}] ${issue.message}`;
+            return item;
+        }));
+    }
+
+    /**
+     * Show a message in place of the report (e.g. while validating)
+     * @param {string} message
+     */
+    showMessage(message) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        this.issueList.replaceChildren(item);
+    }
+}
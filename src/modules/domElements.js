@@ -4,12 +4,40 @@ export const drawToggleBtn = document.getElementById('drawToggleBtn');
 export const viewToggleBtn = document.getElementById('viewToggleBtn');
 export const truncateToggleBtn = document.getElementById('truncateToggleBtn');
 export const startAppBtn = document.getElementById('startAppBtn');
+export const videoSourceBtn = document.getElementById('videoSourceBtn');
 export const backendToggleBtn = document.getElementById('backendToggleBtn');
 export const materialModeToggleBtn = document.getElementById('materialModeToggleBtn');
 export const replayDrawingBtn = document.getElementById('replayDrawingBtn');
 export const replayPrevBtn = document.getElementById('replayPrevBtn');
 export const replayNextBtn = document.getElementById('replayNextBtn');
 export const clearDrawingsBtn = document.getElementById('clearDrawingsBtn');
+export const phaseModeBtn = document.getElementById('phaseModeBtn');
+export const playbackControls = document.getElementById('playbackControls');
+export const playPauseBtn = document.getElementById('playPauseBtn');
+export const timelineScrubber = document.getElementById('timelineScrubber');
+export const frameReadout = document.getElementById('frameReadout');
+export const playbackRateSelect = document.getElementById('playbackRateSelect');
+export const playbackModeSelect = document.getElementById('playbackModeSelect');
+export const frameBlendToggle = document.getElementById('frameBlendToggle');
+export const tileSetSelect = document.getElementById('tileSetSelect');
+export const tileSetStatus = document.getElementById('tileSetStatus');
+export const tileOrderSelect = document.getElementById('tileOrderSelect');
+export const alphaModeSelect = document.getElementById('alphaModeSelect');
+export const backFaceSelect = document.getElementById('backFaceSelect');
+export const openTilesBtn = document.getElementById('openTilesBtn');
+export const tileFilesInput = document.getElementById('tileFilesInput');
+export const dropOverlay = document.getElementById('dropOverlay');
+export const gradingBtn = document.getElementById('gradingBtn');
+export const gradingPanel = document.getElementById('gradingPanel');
+export const gradingCloseBtn = document.getElementById('gradingCloseBtn');
+export const gradingResetBtn = document.getElementById('gradingResetBtn');
+export const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+export const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+export const diagnosticsCloseBtn = document.getElementById('diagnosticsCloseBtn');
+export const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+export const diagnosticsIssues = document.getElementById('diagnosticsIssues');
+export const validateTilesBtn = document.getElementById('validateTilesBtn');
+export const strictValidationToggle = document.getElementById('strictValidationToggle');
 export const finishDrawingBtn = document.getElementById('finishDrawingBtn');
 export const fullscreenBtn = document.getElementById('fullscreenBtn');
 export const countdownSecondsSpan = document.getElementById('countdownSeconds');
@@ -17,6 +45,7 @@ export const countdownSecondsSpan = document.getElementById('countdownSeconds');
 export const drawCanvas = document.getElementById('drawCanvas');
 // Other elements
 export const fileInput = document.getElementById('svgFileInput');
+export const videoFileInput = document.getElementById('videoFileInput');
 export const checkerboardDiv = document.getElementById('checkerboard');
 export const welcomeScreen = document.getElementById('welcomeScreen');
 export const rendererIndicator = document.getElementById('rendererIndicator');
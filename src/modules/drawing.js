@@ -102,7 +102,7 @@ export class DrawingManager {
         });
 
         this.currentStroke = [];
-        this.currentStroke.push({ x: Math.round(e.clientX), y: Math.round(e.clientY) });
+        this.currentStroke.push({ x: Math.round(e.clientX), y: Math.round(e.clientY), pressure: e.pressure });
         this.isDrawingStroke = true;
         this.canvas.setPointerCapture(e.pointerId);
 
@@ -122,7 +122,7 @@ export class DrawingManager {
 
         // Only add point if it's far enough from the last one
         if (this.shouldAddPoint(x, y)) {
-            this.currentStroke.push({ x, y });
+            this.currentStroke.push({ x, y, pressure: e.pressure });
             this.drawAllStrokes();
         }
 
@@ -227,7 +227,7 @@ export class DrawingManager {
 
     /**
      * Finalize the drawing session and return all strokes
-     * @returns {Array<Array<{x,y}>>|null} Array of strokes or null if no strokes
+     * @returns {Array<Array<{x,y,pressure}>>|null} Array of strokes or null if no strokes
      */
     finalizeDrawing() {
         this.cancelAutoFinalize();
@@ -0,0 +1,286 @@
+/**
+ * ProceduralTileSource - Generates animated tiles in the browser, with no assets to fetch
+ *
+ * Each tile becomes a THREE.DataArrayTexture of `layerCount` layers, like the video
+ * source, so it plugs into the same array-texture materials. Tiles are generated when
+ * TileManager asks for them, so a large set costs nothing until it is shown.
+ *
+ * Sources:
+ * - 'procedural:<name>' for a built-in generator (see ProceduralTileSource.GENERATORS):
+ *     'testcard' numbered cards with a moving sweep, for checking order, phase and rotation
+ *     'gradient' hue gradients that cycle
+ *     'noise'    drifting value noise, seeded per tile
+ *     'stripes'  diagonal stripes scrolling one period per loop
+ *     'text'     scrolling text (the descriptor's `text`)
+ * - { type: 'procedural', generator, kind, tileCount, tileSize, layerCount, fps, text, title }
+ *   where `generator` is a built-in name or a function:
+ *     kind 'canvas': (ctx, frame) => void draws one layer on a 2D canvas context
+ *     kind 'pixel':  (u, v, frame) => [r, g, b] returns a colour from 0 to 1 per pixel,
+ *                    like a fragment shader (v is 1 at the top, as in texture coordinates)
+ *   `frame` is { tileIndex, tileCount, layer, layerCount, time, size, text }, with time
+ *   running from 0 to 1 over the loop so every generator loops seamlessly.
+ */
+
+import * as THREE from 'three';
+import { TileSource } from './tileSources.js';
+
+const DEFAULT_TEXT = 'RIVVON';
+
+// --- Built-in generators ---
+
+function hash3(x, y, z, seed) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 2147483647) ^ Math.imul(seed, 1274126177);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+const smooth = t => t * t * (3 - 2 * t);
+
+// Value noise that repeats every `period` along z, so animating z over one period loops
+function valueNoise(x, y, z, period, seed) {
+    const x0 = Math.floor(x), y0 = Math.floor(y), z0 = Math.floor(z);
+    const fx = smooth(x - x0), fy = smooth(y - y0), fz = smooth(z - z0);
+    const za = ((z0 % period) + period) % period;
+    const zb = (za + 1) % period;
+    const a = bilinear(x0, y0, za, fx, fy, seed);
+    return a + (bilinear(x0, y0, zb, fx, fy, seed) - a) * fz;
+}
+
+function bilinear(x0, y0, z, fx, fy, seed) {
+    const h00 = hash3(x0, y0, z, seed), h10 = hash3(x0 + 1, y0, z, seed);
+    const h01 = hash3(x0, y0 + 1, z, seed), h11 = hash3(x0 + 1, y0 + 1, z, seed);
+    const top = h00 + (h10 - h00) * fx;
+    return top + (h01 + (h11 - h01) * fx - top) * fy;
+}
+
+// CSS colour for canvas generators
+function hsl(h, s, l) {
+    return `hsl(${(((h % 1) + 1) % 1) * 360}, ${s * 100}%, ${l * 100}%)`;
+}
+
+// [r, g, b] (sRGB, 0 to 1) for pixel generators; called per pixel, so no THREE.Color
+function hslToRgb(h, s, l) {
+    const a = s * Math.min(l, 1 - l);
+    const channel = n => {
+        const k = (n + h * 12) % 12;
+        return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    h = ((h % 1) + 1) % 1;
+    return [channel(0), channel(8), channel(4)];
+}
+
+// Noise lattice cells the noise generator drifts through per loop
+const NOISE_PERIOD = 4;
+
+const GENERATORS = {
+    testcard: {
+        kind: 'canvas',
+        draw(ctx, { tileIndex, tileCount, layer, layerCount, time, size }) {
+            ctx.fillStyle = hsl(tileIndex / tileCount, 0.55, 0.3);
+            ctx.fillRect(0, 0, size, size);
+
+            // Grid
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.lineWidth = Math.max(1, size / 256);
+            for (let i = 1; i < 8; i++) {
+                const p = (i / 8) * size;
+                ctx.beginPath();
+                ctx.moveTo(p, 0);
+                ctx.lineTo(p, size);
+                ctx.moveTo(0, p);
+                ctx.lineTo(size, p);
+                ctx.stroke();
+            }
+
+            // Sweep moving left to right over the loop
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.fillRect(time * size, 0, size / 16, size);
+
+            // Top-left marker, as in the debug views
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, size * 0.12, size * 0.12);
+
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = `bold ${size * 0.4}px sans-serif`;
+            ctx.fillText(String(tileIndex), size / 2, size * 0.48);
+            ctx.font = `${size * 0.09}px sans-serif`;
+            ctx.fillText(`layer ${layer + 1}/${layerCount}`, size / 2, size * 0.82);
+        }
+    },
+    gradient: {
+        kind: 'pixel',
+        draw(u, v, { tileIndex, tileCount, time }) {
+            return hslToRgb(tileIndex / tileCount + (u + v) * 0.25 + time, 0.7, 0.35 + 0.2 * v);
+        }
+    },
+    noise: {
+        kind: 'pixel',
+        draw(u, v, { tileIndex, time }) {
+            const z = time * NOISE_PERIOD;
+            const n = valueNoise(u * 6, v * 6, z, NOISE_PERIOD, tileIndex + 1) * 0.65
+                + valueNoise(u * 14, v * 14, z, NOISE_PERIOD, tileIndex + 101) * 0.35;
+            return hslToRgb(0.55 + tileIndex * 0.07 + n * 0.2, 0.6, 0.15 + n * 0.6);
+        }
+    },
+    stripes: {
+        kind: 'pixel',
+        draw(u, v, { tileIndex, tileCount, time }) {
+            const stripe = (((u + v) * 4 - time) % 1 + 1) % 1 < 0.5;
+            return stripe ? hslToRgb(tileIndex / tileCount, 0.75, 0.55) : [0.08, 0.08, 0.1];
+        }
+    },
+    text: {
+        kind: 'canvas',
+        draw(ctx, { tileIndex, tileCount, time, size, text }) {
+            ctx.fillStyle = hsl(tileIndex / tileCount, 0.4, 0.15);
+            ctx.fillRect(0, 0, size, size);
+
+            const label = `${text} · ${tileIndex} · `;
+            ctx.font = `bold ${size * 0.3}px sans-serif`;
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = hsl(tileIndex / tileCount + 0.5, 0.8, 0.7);
+            // Scroll by one copy of the label per loop, drawing enough copies to fill the tile
+            const width = ctx.measureText(label).width;
+            for (let x = -time * width; x < size; x += width) {
+                ctx.fillText(label, x, size / 2);
+            }
+        }
+    }
+};
+
+export class ProceduralTileSource extends TileSource {
+    /**
+     * Names of the built-in generators
+     */
+    static GENERATORS = Object.keys(GENERATORS);
+
+    /**
+     * Matches 'procedural:<name>' or a { type: 'procedural' } descriptor
+     * @param {*} source
+     * @returns {boolean}
+     */
+    static matches(source) {
+        if (typeof source === 'string') return source.startsWith('procedural:');
+        return source?.type === 'procedural';
+    }
+
+    /**
+     * @param {string|Object} source - 'procedural:<name>' or a descriptor (see the module docs)
+     * @param {Object} options
+     * @param {number} options.tileCount - Number of tiles, unless the descriptor says
+     * @param {number} options.layerCount - Layers per tile, unless the descriptor says
+     */
+    constructor(source, options = {}) {
+        super(source, options);
+        const descriptor = typeof source === 'string'
+            ? { generator: source.slice('procedural:'.length) }
+            : source;
+
+        const builtIn = typeof descriptor.generator === 'string' ? GENERATORS[descriptor.generator] : null;
+        if (!builtIn && typeof descriptor.generator !== 'function') {
+            throw new Error(`Unknown procedural generator "${descriptor.generator}" (built-ins: ${ProceduralTileSource.GENERATORS.join(', ')})`);
+        }
+
+        this.format = 'array';
+        this.generator = builtIn?.draw ?? descriptor.generator;
+        this.kind = builtIn?.kind ?? (descriptor.kind === 'pixel' ? 'pixel' : 'canvas');
+        this.text = descriptor.text ?? DEFAULT_TEXT;
+        this.tileCount = descriptor.tileCount ?? this.tileCount;
+        // Generated tiles don't need to be large; keep memory modest unless asked otherwise
+        this.tileSize = descriptor.tileSize ?? 256;
+        this.layerCount = Math.max(1, descriptor.layerCount ?? options.layerCount ?? 16);
+
+        const name = typeof descriptor.generator === 'string' ? descriptor.generator : 'custom';
+        this.applyManifest({
+            title: descriptor.title ?? `Procedural ${name}`,
+            fps: descriptor.fps ?? 12,
+            colorSpace: 'srgb' // Canvas and generator colours are sRGB
+        });
+
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    async open() {
+        console.log(`[ProceduralTileSource] ${this.manifest.title}: ${this.tileCount} tiles x ${this.layerCount} layers, ${this.tileSize}px, ${this.kind} generator`);
+    }
+
+    /**
+     * Generate a tile
+     * @param {number} index - Tile index
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Stops generating between layers
+     * @returns {Promise<THREE.DataArrayTexture>}
+     */
+    async readTile(index, { signal } = {}) {
+        const size = this.tileSize;
+        const layerBytes = size * size * 4;
+        const data = new Uint8Array(layerBytes * this.layerCount);
+
+        for (let layer = 0; layer < this.layerCount; layer++) {
+            signal?.throwIfAborted();
+            const frame = {
+                tileIndex: index,
+                tileCount: this.tileCount,
+                layer,
+                layerCount: this.layerCount,
+                time: layer / this.layerCount,
+                size,
+                text: this.text
+            };
+            data.set(this.kind === 'pixel' ? this.#drawPixels(frame) : this.#drawCanvas(frame), layer * layerBytes);
+            // Let the page breathe between layers
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const texture = new THREE.DataArrayTexture(data, size, size, this.layerCount);
+        texture.format = THREE.RGBAFormat;
+        texture.type = THREE.UnsignedByteType;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    dispose() {
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * @returns {Uint8ClampedArray} RGBA pixels, top row first
+     */
+    #drawCanvas(frame) {
+        if (!this.ctx) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.canvas.height = this.tileSize;
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.clearRect(0, 0, frame.size, frame.size);
+        this.generator(ctx, frame);
+        ctx.restore();
+        return ctx.getImageData(0, 0, frame.size, frame.size).data;
+    }
+
+    /**
+     * @returns {Uint8Array} RGBA pixels, top row first
+     */
+    #drawPixels(frame) {
+        const { size } = frame;
+        const pixels = new Uint8Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            const v = 1 - (y + 0.5) / size;
+            for (let x = 0; x < size; x++) {
+                const rgb = this.generator((x + 0.5) / size, v, frame);
+                const offset = (y * size + x) * 4;
+                pixels[offset] = Math.round(Math.min(Math.max(rgb[0], 0), 1) * 255);
+                pixels[offset + 1] = Math.round(Math.min(Math.max(rgb[1], 0), 1) * 255);
+                pixels[offset + 2] = Math.round(Math.min(Math.max(rgb[2], 0), 1) * 255);
+                pixels[offset + 3] = 255;
+            }
+        }
+        return pixels;
+    }
+}
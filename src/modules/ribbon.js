@@ -1,7 +1,22 @@
 import * as THREE from 'three';
 import { CatmullRomCurve3 } from 'three';
+import { createFrameHelper } from './debugMaterials.js';
+import { DEFAULT_FRAME_OPTIONS, computeRibbonFrames, isClosedPath, resolveTwistProfile } from './ribbonFrames.js';
+import { resolveWidthProfile } from './ribbonWidth.js';
+
+// Segments never get shorter than this fraction of the base width, so narrow tips of a
+// width profile don't turn into a crowd of tiny tiles
+const MIN_SEGMENT_SCALE = 0.25;
 
 export class Ribbon {
+    /**
+     * How the last part of a path shorter than the ribbon width is drawn:
+     * 'shorten' a shorter last segment showing the matching part of its tile,
+     * 'stretch' every segment stretched a little so a whole number of them fit,
+     * 'trim'    the leftover part of the path isn't drawn
+     */
+    static END_MODES = ['shorten', 'stretch', 'trim'];
+
     constructor(scene) {
         this.scene = scene;
         this.meshSegments = [];
@@ -9,12 +24,18 @@ export class Ribbon {
         this.lastPoints = [];
         this.lastWidth = 1;
         this.truncateSegments = false; // Toggle for segment gaps
+        this.endMode = 'shorten'; // See END_MODES
+        this.widthProfile = null; // Width along the path (see ribbonWidth.js); null is constant
         this.segmentOffset = 0; // Offset for texture indexing (used in RibbonSeries)
+        this.debugFrames = null; // Frame axes shown in the 'frames' debug view
+        this.frameOptions = { ...DEFAULT_FRAME_OPTIONS, up: DEFAULT_FRAME_OPTIONS.up.clone() };
+        this.loopTwist = 0; // Twist spread along the last closed path built, in radians
 
         // Animation parameters
         this.waveAmplitude = 0.2;
         this.waveFrequency = 2;
         this.waveSpeed = 2;
+        this.twist = null; // Authored twist along the path, added to the wave (see setTwist)
     }
 
     setTileManager(tileManager) {
@@ -24,7 +45,8 @@ export class Ribbon {
 
     /**
      * Set the segment offset for texture indexing
-     * Used by RibbonSeries for continuous texture tiling across multiple ribbons
+     * Used by RibbonSeries for continuous texture tiling across multiple ribbons: the tile
+     * manager's tile order (TileManager.setTileOrder) carries on from the previous ribbon
      * @param {number} offset - The segment offset
      * @returns {Ribbon} this for chaining
      */
@@ -33,6 +55,94 @@ export class Ribbon {
         return this;
     }
 
+    /**
+     * Set how the ribbon's frames are oriented along its path; applies from the next build
+     * @param {Object} options
+     * @param {THREE.Vector3} options.up - Which way the ribbon faces at the start of the path
+     * @param {boolean} options.closeLoops - Spread a closed path's leftover twist along it
+     * @param {number} options.closedTolerance - Largest gap between the ends of a closed path,
+     *   as a fraction of its length
+     * @returns {Ribbon} this for chaining
+     */
+    setFrameOptions({ up, closeLoops, closedTolerance } = {}) {
+        if (up !== undefined) {
+            if (!up?.isVector3 || up.lengthSq() === 0) {
+                console.warn('[Ribbon] Frame up vector must be a non-zero THREE.Vector3');
+                return this;
+            }
+            this.frameOptions.up = up.clone().normalize();
+        }
+        if (closeLoops !== undefined) this.frameOptions.closeLoops = !!closeLoops;
+        if (closedTolerance !== undefined) this.frameOptions.closedTolerance = closedTolerance;
+        return this;
+    }
+
+    /**
+     * Set how the last, partial segment of a path is drawn; applies from the next build
+     * @param {string} mode - One of Ribbon.END_MODES
+     * @returns {Ribbon} this for chaining
+     */
+    setEndMode(mode) {
+        if (!Ribbon.END_MODES.includes(mode)) {
+            console.warn(`[Ribbon] Unknown end mode "${mode}"; expected one of ${Ribbon.END_MODES.join(', ')}`);
+            return this;
+        }
+        this.endMode = mode;
+        return this;
+    }
+
+    /**
+     * Twist the ribbon about its path; applies from the next build. The wave animation
+     * still plays on top.
+     * @param {number|Array|Function|Object|null} profile - Degrees over normalised arc
+     *   length: a total (360 is one full turn), keyframes [[s, degrees], ...], s => degrees,
+     *   or { curvature: factor } to twist as the path bends (see ribbonFrames.js); null for none
+     * @returns {Ribbon} this for chaining
+     */
+    setTwist(profile) {
+        try {
+            resolveTwistProfile(profile);
+        } catch (error) {
+            console.warn(`[Ribbon] ${error.message}`);
+            return this;
+        }
+        this.twist = profile;
+        return this;
+    }
+
+    /**
+     * Vary the ribbon's width along its path; applies from the next build
+     * @param {string|Function|Array|Object|null} profile - Preset name, s => scale,
+     *   keyframes or { points } (see ribbonWidth.js); null for a constant width
+     * @returns {Ribbon} this for chaining
+     */
+    setWidthProfile(profile) {
+        try {
+            resolveWidthProfile(profile);
+        } catch (error) {
+            console.warn(`[Ribbon] ${error.message}`);
+            return this;
+        }
+        this.widthProfile = profile;
+        return this;
+    }
+
+    /**
+     * The width profile as a function of curve t (proportional to arc length)
+     * @param {number} width - Base width
+     * @returns {Function} t => width
+     */
+    resolveWidth(width) {
+        let profile;
+        try {
+            profile = resolveWidthProfile(this.widthProfile);
+        } catch (error) {
+            console.warn(`[Ribbon] ${error.message}; using a constant width`);
+            profile = () => 1;
+        }
+        return t => width * profile(t);
+    }
+
     buildFromPoints(points, width = 1, time = 0) {
         if (points.length < 2) return;
 
@@ -85,10 +195,11 @@ export class Ribbon {
     }
 
     buildSegmentedRibbon(points, width, time) {
-        // Calculate total path length to determine segment count
+        // Each segment is as long as the ribbon is wide there, so tiles are square
         const totalLength = this.calculatePathLength(points);
-        const segmentLength = width; // Each segment roughly square (width ≈ height)
-        const segmentCount = Math.max(1, Math.ceil(totalLength / segmentLength));
+        const widthAt = this.resolveWidth(width);
+        const segments = this.layoutSegments(totalLength, width, widthAt);
+        const segmentCount = segments.length;
 
         // console.log('[Ribbon] buildSegmentedRibbon starting', {
         //     totalLength: totalLength.toFixed(2),
@@ -104,61 +215,36 @@ export class Ribbon {
         const curve = this.createCurveFromPoints(points);
         // console.log('[Ribbon] Curve created from points');
 
-        // Calculate initial reference normal for consistency
-        const initialTangent = curve.getTangent(0).normalize();
-        const up = new THREE.Vector3(0, 1, 0);
-        let referenceNormal = up.cross(initialTangent).normalize();
-
-        // If tangent is parallel to up vector, use a different reference
-        if (referenceNormal.length() < 0.1) {
-            const right = new THREE.Vector3(1, 0, 0);
-            referenceNormal = right.cross(initialTangent).normalize();
-        }
-
-        // Pre-calculate all normals for the entire path to ensure consistency
+        // Pre-calculate rotation-minimising frames for the entire path (see ribbonFrames.js),
+        // so the ribbon's orientation is the same whichever segment is built
         const pointsPerSegment = 50;
-        const totalPoints = segmentCount * pointsPerSegment + 1;
-        const normalCache = [];
-        let prevNormal = referenceNormal.clone();
-
-        for (let i = 0; i < totalPoints; i++) {
-            const t = i / (totalPoints - 1);
-            const tangent = curve.getTangent(t).normalize();
-
-            let normal;
-            if (i === 0) {
-                normal = prevNormal.clone();
-            } else {
-                // Use Frenet frame approach
-                const binormal = tangent.clone().cross(prevNormal).normalize();
-                normal = binormal.cross(tangent).normalize();
-
-                // Ensure normal doesn't flip
-                if (normal.dot(prevNormal) < 0) {
-                    normal.negate();
-                }
-
-                // Smooth the transition
-                normal = prevNormal.clone().lerp(normal, 0.1).normalize();
+        const sampleTs = [0];
+        segments.forEach(({ startT, endT }) => {
+            for (let i = 1; i <= pointsPerSegment; i++) {
+                sampleTs.push(startT + (endT - startT) * i / pointsPerSegment);
             }
-
-            normalCache.push(normal.clone());
-            prevNormal = normal;
-        }
+        });
+        const { across: normalCache, loopTwist } = computeRibbonFrames(curve, sampleTs, {
+            up: this.frameOptions.up,
+            closed: isClosedPath(points, this.frameOptions.closedTolerance),
+            closeLoops: this.frameOptions.closeLoops,
+            twist: resolveTwistProfile(this.twist)
+        });
+        this.loopTwist = loopTwist;
 
         // console.log('[Ribbon] Normal cache computed', { totalPoints });
 
         // Build each segment using the pre-calculated normals
         for (let segIdx = 0; segIdx < segmentCount; segIdx++) {
-            const startT = segIdx / segmentCount;
-            const endT = (segIdx + 1) / segmentCount;
+            const { startT, endT, tileFraction } = segments[segIdx];
             const startPointIdx = segIdx * pointsPerSegment;
 
             const segmentMesh = this.createRibbonSegmentWithCache(
                 curve,
                 startT,
                 endT,
-                width,
+                tileFraction,
+                widthAt,
                 time,
                 segIdx,
                 normalCache,
@@ -174,6 +260,8 @@ export class Ribbon {
             }
         }
 
+        this.updateDebugFrames();
+
         // console.log('[Ribbon] All segments created and added to scene', {
         //     totalSegments: this.meshSegments.length
         // });
@@ -181,6 +269,59 @@ export class Ribbon {
         return this.meshSegments;
     }
 
+    /**
+     * Split a path into segments as long as the ribbon is wide, handling the leftover
+     * per `endMode`
+     * @param {number} totalLength - Path length
+     * @param {number} width - Base ribbon width
+     * @param {Function} widthAt - t => ribbon width there (see resolveWidth)
+     * @returns {Array<{startT: number, endT: number, tileFraction: number}>} Where each
+     *   segment starts and ends (curve t, proportional to distance along the path) and how
+     *   much of its tile's width it shows
+     */
+    layoutSegments(totalLength, width, widthAt = () => width) {
+        if (totalLength === 0 || !(width > 0)) return [{ startT: 0, endT: 1, tileFraction: 1 }];
+
+        // Walk along the path, sizing each segment by the width at its middle
+        const minLength = width * MIN_SEGMENT_SCALE;
+        const segmentLengthFrom = distance => {
+            const estimate = Math.max(widthAt(distance / totalLength), minLength);
+            const middle = Math.min(distance + estimate / 2, totalLength);
+            return Math.max(widthAt(middle / totalLength), minLength);
+        };
+        const bounds = [0];
+        let nextLength = segmentLengthFrom(0);
+        // Leftovers this small are rounding, not a segment
+        while (bounds[bounds.length - 1] + nextLength <= totalLength + minLength * 1e-6) {
+            const end = bounds[bounds.length - 1] + nextLength;
+            bounds.push(end);
+            nextLength = segmentLengthFrom(end);
+        }
+        const fullCount = bounds.length - 1;
+        const covered = bounds[fullCount];
+        const leftover = Math.max(0, (totalLength - covered) / nextLength);
+
+        if (this.endMode === 'stretch') {
+            // Fit a whole number of segments: keep the leftover as one more if it's at
+            // least half a segment, then scale every segment to end exactly at the end
+            const keepLeftover = leftover >= 0.5 || fullCount === 0;
+            if (keepLeftover) bounds.push(covered + nextLength);
+            const scale = 1 / bounds[bounds.length - 1];
+            return bounds.slice(1).map((end, i) => ({ startT: bounds[i] * scale, endT: end * scale, tileFraction: 1 }));
+        }
+
+        const segments = bounds.slice(1).map((end, i) => ({
+            startT: bounds[i] / totalLength,
+            endT: Math.min(end / totalLength, 1),
+            tileFraction: 1
+        }));
+        // A path shorter than one segment still gets one, even when trimming
+        if (leftover > 1e-6 && (this.endMode === 'shorten' || fullCount === 0)) {
+            segments.push({ startT: covered / totalLength, endT: 1, tileFraction: leftover });
+        }
+        return segments;
+    }
+
     calculatePathLength(points) {
         let length = 0;
         for (let i = 1; i < points.length; i++) {
@@ -189,15 +330,33 @@ export class Ribbon {
         return length;
     }
 
+    /**
+     * Polyline through the points, parameterised by arc length: t is the fraction of the
+     * distance along the path, however unevenly the points are spaced
+     * @param {Array<THREE.Vector3>} points
+     * @returns {THREE.Curve}
+     */
     createCurveFromPoints(points) {
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            distances.push(distances[i - 1] + points[i].distanceTo(points[i - 1]));
+        }
+        const totalLength = distances[distances.length - 1];
+
         const curve = new THREE.Curve();
         curve.getPoint = t => {
-            const i = t * (points.length - 1);
-            const a = Math.floor(i);
-            const b = Math.min(Math.ceil(i), points.length - 1);
-            const p1 = points[a];
-            const p2 = points[b];
-            return new THREE.Vector3().lerpVectors(p1, p2, i - a);
+            if (totalLength === 0) return points[0].clone();
+            const distance = THREE.MathUtils.clamp(t, 0, 1) * totalLength;
+            // Binary search for the pair of points either side of this distance
+            let a = 0;
+            let b = points.length - 1;
+            while (b - a > 1) {
+                const mid = (a + b) >> 1;
+                if (distances[mid] <= distance) a = mid;
+                else b = mid;
+            }
+            const span = distances[b] - distances[a];
+            return new THREE.Vector3().lerpVectors(points[a], points[b], span > 0 ? (distance - distances[a]) / span : 0);
         };
         curve.getTangent = t => {
             const delta = 0.001;
@@ -205,10 +364,11 @@ export class Ribbon {
             const p2 = curve.getPoint(Math.min(t + delta, 1));
             return p2.clone().sub(p1).normalize();
         };
+        curve.getLength = () => totalLength;
         return curve;
     }
 
-    createRibbonSegmentWithCache(curve, startT, endT, width, time, segmentIndex, normalCache, startPointIdx, pointsPerSegment) {
+    createRibbonSegmentWithCache(curve, startT, endT, tileFraction, widthAt, time, segmentIndex, normalCache, startPointIdx, pointsPerSegment) {
         // console.log('[Ribbon] Creating segment', segmentIndex, {
         //     startT: startT.toFixed(3),
         //     endT: endT.toFixed(3),
@@ -218,8 +378,11 @@ export class Ribbon {
         const geometry = new THREE.BufferGeometry();
         const positions = [];
         const uvs = [];
+        const segmentPhases = [];
         const indices = [];
 
+        const textureIndex = segmentIndex + this.segmentOffset; // Apply offset for RibbonSeries
+
         // Conditionally truncate the last 5% of the segment based on toggle
         const cutoffThreshold = this.truncateSegments ? 0.99 : 1.0;
         const maxPoints = Math.floor(pointsPerSegment * cutoffThreshold);
@@ -241,15 +404,22 @@ export class Ribbon {
 
             normal.applyAxisAngle(tangent, phase);
 
+            const width = widthAt(globalT);
             const left = point.clone().addScaledVector(normal, -width / 2);
             const right = point.clone().addScaledVector(normal, width / 2);
 
             positions.push(left.x, left.y, left.z);
             positions.push(right.x, right.y, right.z);
 
-            // UV mapping rotated 90 degrees for seamless tiling along ribbon direction
-            uvs.push(localT, 0);  // left edge
-            uvs.push(localT, 1);  // right edge
+            // UV mapping rotated 90 degrees for seamless tiling along ribbon direction.
+            // A shortened last segment shows only the start of its tile, so it isn't squashed.
+            const u = localT * tileFraction;
+            uvs.push(u, 0);  // left edge
+            uvs.push(u, 1);  // right edge
+
+            // Segment index and position within it, for per-segment layer phase (see TileManager.setPhaseMode)
+            segmentPhases.push(textureIndex, u);
+            segmentPhases.push(textureIndex, u);
 
             if (i < maxPoints) {
                 const base = i * 2;
@@ -260,33 +430,116 @@ export class Ribbon {
 
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
         geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setAttribute('segmentPhase', new THREE.Float32BufferAttribute(segmentPhases, 2));
         geometry.setIndex(indices);
         geometry.computeVertexNormals();
 
+        // One mesh per segment also means translucent tiles ('blend' alpha mode) are sorted
+        // back to front segment by segment, by each geometry's bounding-sphere centre
+        const mesh = new THREE.Mesh(geometry);
+        mesh.userData.textureIndex = textureIndex;
+        this.tileManager?.acquireTile(textureIndex); // Keeps the tile resident under a memory budget
+        this.applySegmentMaterial(mesh);
+        // console.log('[Ribbon] Segment', segmentIndex, 'mesh created', {
+        //     positions: positions.length / 3,
+        //     indices: indices.length
+        // });
+
+        return mesh;
+    }
+
+    /**
+     * Give a segment mesh its tile's material. Tiles load on demand, so if the tile isn't
+     * ready yet the mesh gets a placeholder that is swapped for the real material later.
+     * @param {THREE.Mesh} mesh - Segment mesh with userData.textureIndex
+     */
+    applySegmentMaterial(mesh) {
+        const textureIndex = mesh.userData.textureIndex;
+        mesh.material = this.createSegmentMaterial(textureIndex);
+
+        // Debug views don't need the tile
+        if (this.tileManager && !mesh.material.userData.debugView && !this.tileManager.isTileLoaded(textureIndex)) {
+            const placeholder = mesh.material;
+            this.tileManager.requestTile(textureIndex).then(() => {
+                // Skip if the segment was rebuilt or re-materialed meanwhile
+                if (!this.meshSegments.includes(mesh) || mesh.material !== placeholder) return;
+                mesh.material = this.createSegmentMaterial(textureIndex);
+                this.disposeSegmentMaterial(placeholder);
+            }).catch(() => {
+                // Failed or cancelled loads are logged by the tile manager; keep the placeholder
+            });
+        }
+    }
+
+    /**
+     * Re-fetch every segment's material from the tile manager, e.g. after
+     * TileManager.setSource() has switched tile sets or setTileOrder() has changed which
+     * tile each segment shows, or TileManager.setDebugView() has changed the debug view.
+     * Geometry is left as it is.
+     */
+    refreshMaterials() {
+        this.meshSegments.forEach(mesh => {
+            const previous = mesh.material;
+            this.applySegmentMaterial(mesh);
+            if (previous !== mesh.material) this.disposeSegmentMaterial(previous);
+        });
+        this.updateDebugFrames();
+    }
+
+    /**
+     * Dispose a material made for one segment alone. Array, placeholder and debug materials
+     * belong to the tile manager and are shared with other segments and ribbons, so they stay.
+     * @param {THREE.Material} material
+     */
+    disposeSegmentMaterial(material) {
+        if (material?.userData.segmentOnly) material.dispose();
+    }
+
+    /**
+     * Show or hide the tangent/normal frame axes, following the tile manager's debug view
+     */
+    updateDebugFrames() {
+        if (this.debugFrames) {
+            this.scene.remove(this.debugFrames);
+            this.debugFrames.geometry.dispose();
+            this.debugFrames.material.dispose();
+            this.debugFrames = null;
+        }
+        if (this.tileManager?.debugView !== 'frames') return;
+
+        this.debugFrames = createFrameHelper(this.meshSegments);
+        if (this.debugFrames) {
+            this.scene.add(this.debugFrames);
+        }
+    }
+
+    /**
+     * Create the material for a segment: the tile's KTX2/video array material if available,
+     * otherwise a graded material around the tile's JPG texture (TileManager.createImageMaterial).
+     * While the tile is still loading this is the tile manager's placeholder (array path) or an
+     * untextured material (JPG path). A debug view (TileManager.setDebugView) overrides all of these.
+     * @param {number} textureIndex - Segment index including segmentOffset
+     * @returns {THREE.Material}
+     */
+    createSegmentMaterial(textureIndex) {
+        const debugMaterial = this.tileManager?.getDebugMaterial?.(textureIndex);
+        if (debugMaterial) return debugMaterial;
+
         // Prefer KTX2 array material if available; fallback to JPG texture
         let material = null;
-        const textureIndex = segmentIndex + this.segmentOffset; // Apply offset for RibbonSeries
         if (this.tileManager && typeof this.tileManager.getMaterial === 'function') {
             material = this.tileManager.getMaterial(textureIndex) || null;
-            // console.log('[Ribbon] Segment', segmentIndex, 'material from tileManager:', !!material);
         }
 
         if (!material) {
             const tileTexture = this.tileManager.getTile(textureIndex);
-            material = new THREE.MeshBasicMaterial({
-                map: tileTexture,
-                side: THREE.DoubleSide
-            });
-            // console.log('[Ribbon] Segment', segmentIndex, 'using fallback JPG material');
+            material = tileTexture
+                ? this.tileManager.createImageMaterial(tileTexture, textureIndex)
+                : new THREE.MeshBasicMaterial({ color: 0x3a3a4a, side: THREE.DoubleSide });
+            material.userData.segmentOnly = true; // Disposed with the segment
         }
 
-        const mesh = new THREE.Mesh(geometry, material);
-        // console.log('[Ribbon] Segment', segmentIndex, 'mesh created', {
-        //     positions: positions.length / 3,
-        //     indices: indices.length
-        // });
-
-        return mesh;
+        return material;
     }
 
     update(time) {
@@ -302,10 +555,12 @@ export class Ribbon {
         // Clean up segmented meshes
         this.meshSegments.forEach(mesh => {
             if (mesh.geometry) mesh.geometry.dispose();
-            if (mesh.material) mesh.material.dispose();
+            this.disposeSegmentMaterial(mesh.material);
+            this.tileManager?.releaseTile(mesh.userData.textureIndex);
             this.scene.remove(mesh);
         });
         this.meshSegments = [];
+        this.updateDebugFrames(); // Nothing to show until the segments are rebuilt
         // console.log('[Ribbon] Cleanup complete');
     }
 
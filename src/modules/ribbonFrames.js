@@ -0,0 +1,230 @@
+/**
+ * Ribbon frames - which way the ribbon faces along its path
+ *
+ * Each sample along the path gets a tangent and an across direction, the direction the
+ * ribbon's width spans. The across directions are rotation-minimising frames: the first
+ * one is carried along the path by parallel transport (the double reflection method from
+ * Wang et al., "Computation of Rotation Minimizing Frames", 2008). It only turns as much
+ * as the path bends it, so it doesn't drift, lag or depend on the sampling rate. On a flat
+ * path it keeps the angle it started at.
+ *
+ * Transport around a closed loop usually comes back rotated, which leaves a kink where the
+ * ends meet. With `closeLoops`, that leftover twist is spread evenly along the loop by
+ * arc length, so the ends line up.
+ *
+ * Authored twist then turns the frames about the tangent. A twist profile gives the angle
+ * in degrees over normalised arc length s (0 at the start of the path, 1 at the end):
+ * - a number: total twist, spread evenly from start to end (360 is one full turn)
+ * - keyframes: [[s, degrees], ...] or [{ at: s, angle }, ...], at a steady rate in between
+ * - a function: s => degrees
+ * - { curvature: factor }: twist as the path bends, `factor` degrees per degree of turning
+ */
+
+import * as THREE from 'three';
+import { interpolateKeyframes } from './ribbonWidth.js';
+
+export const DEFAULT_FRAME_OPTIONS = {
+    up: new THREE.Vector3(0, 1, 0), // The ribbon's face points this way at the start of the path
+    closeLoops: true,               // Spread a closed path's leftover twist along it
+    closedTolerance: 0.01           // Ends closer than this fraction of the path length count as closed
+};
+
+const FALLBACK_UP = new THREE.Vector3(1, 0, 0);
+
+/**
+ * Turn a twist profile into a function of normalised arc length and path turning
+ * @param {number|Array|Function|Object|null} profile - See the module docs; null is none
+ * @returns {Function|null} (s, turning) => degrees, where turning is how far the path has
+ *   turned since its start, in degrees; null for no twist
+ * @throws {Error} If the profile isn't one of the accepted forms
+ */
+export function resolveTwistProfile(profile) {
+    if (profile === null || profile === undefined || profile === 0) return null;
+
+    if (typeof profile === 'number') {
+        if (!Number.isFinite(profile)) throw new Error(`Twist must be a finite number of degrees (got ${profile})`);
+        return s => profile * s;
+    }
+
+    if (typeof profile === 'function') {
+        return s => Number(profile(s)) || 0;
+    }
+
+    if (Array.isArray(profile)) {
+        if (profile.length === 0) throw new Error('Twist keyframes must not be empty');
+        const keyframes = profile.map(keyframe => Array.isArray(keyframe) ? keyframe : [keyframe?.at, keyframe?.angle]);
+        keyframes.forEach(([s, angle]) => {
+            if (typeof s !== 'number' || !(s >= 0 && s <= 1)) {
+                throw new Error(`Twist keyframe positions must be from 0 to 1 (got ${JSON.stringify(s)})`);
+            }
+            if (typeof angle !== 'number' || !Number.isFinite(angle)) {
+                throw new Error(`Twist keyframe angles must be numbers of degrees (got ${JSON.stringify(angle)})`);
+            }
+        });
+        return interpolateKeyframes(keyframes.sort((a, b) => a[0] - b[0]), x => x);
+    }
+
+    if (typeof profile?.curvature === 'number' && Number.isFinite(profile.curvature)) {
+        return (s, turning) => profile.curvature * turning;
+    }
+
+    throw new Error('Twist must be a number of degrees, a list of keyframes, a function or { curvature }');
+}
+
+/**
+ * Whether a path ends where it starts
+ * @param {Array<THREE.Vector3>} points
+ * @param {number} tolerance - Largest gap between the ends, as a fraction of the path length
+ * @returns {boolean}
+ */
+export function isClosedPath(points, tolerance = DEFAULT_FRAME_OPTIONS.closedTolerance) {
+    if (points.length < 3) return false;
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += points[i].distanceTo(points[i - 1]);
+    }
+    return length > 0 && points[0].distanceTo(points[points.length - 1]) <= length * tolerance;
+}
+
+/**
+ * First across direction: perpendicular to both the tangent and `up`, so the ribbon faces
+ * `up` as closely as it can
+ * @param {THREE.Vector3} tangent - Unit tangent
+ * @param {THREE.Vector3} up
+ * @returns {THREE.Vector3} Unit vector
+ */
+function initialAcross(tangent, up) {
+    const across = new THREE.Vector3().crossVectors(up, tangent);
+    // A path starting straight along `up` leaves the choice open; fall back to +x
+    if (across.lengthSq() < 1e-4) {
+        across.crossVectors(FALLBACK_UP, tangent);
+    }
+    return across.normalize();
+}
+
+/**
+ * Rotation-minimising frames along a curve
+ * @param {THREE.Curve} curve - Anything with getPoint(t) and getTangent(t), t from 0 to 1
+ * @param {number|Array<number>} samples - Where to compute frames: a count, spread evenly
+ *   over t, or a list of increasing t values
+ * @param {Object} options
+ * @param {THREE.Vector3} options.up - Which way the ribbon faces at the start
+ * @param {boolean} options.closed - Whether the path is a closed loop (see isClosedPath)
+ * @param {boolean} options.closeLoops - On a closed loop, spread the leftover twist along it
+ * @param {Function|null} options.twist - Authored twist, from resolveTwistProfile()
+ * @returns {{tangents: Array<THREE.Vector3>, across: Array<THREE.Vector3>, loopTwist: number}}
+ *   Unit vectors per sample, and the twist spread along a closed loop in radians (0 if none)
+ */
+export function computeRibbonFrames(curve, samples, options = {}) {
+    const {
+        up = DEFAULT_FRAME_OPTIONS.up,
+        closed = false,
+        closeLoops = DEFAULT_FRAME_OPTIONS.closeLoops,
+        twist = null
+    } = options;
+
+    const ts = Array.isArray(samples)
+        ? samples
+        : Array.from({ length: samples }, (_, i) => (samples > 1 ? i / (samples - 1) : 0));
+    const sampleCount = ts.length;
+
+    const positions = [];
+    const tangents = [];
+    for (let i = 0; i < sampleCount; i++) {
+        const t = ts[i];
+        positions.push(curve.getPoint(t));
+        const tangent = curve.getTangent(t).normalize();
+        // Repeated points have no direction; carry the previous one over them
+        if (tangent.lengthSq() === 0) tangent.copy(tangents[i - 1] ?? new THREE.Vector3(1, 0, 0));
+        tangents.push(tangent);
+    }
+
+    const across = [initialAcross(tangents[0], up)];
+    const v1 = new THREE.Vector3();
+    const v2 = new THREE.Vector3();
+    const reflectedAcross = new THREE.Vector3();
+    const reflectedTangent = new THREE.Vector3();
+
+    for (let i = 0; i < sampleCount - 1; i++) {
+        const next = across[i].clone();
+
+        // Reflect the frame in the plane bisecting the two sample points...
+        v1.subVectors(positions[i + 1], positions[i]);
+        const c1 = v1.dot(v1);
+        if (c1 > 0) {
+            reflectedAcross.copy(across[i]).addScaledVector(v1, -2 * v1.dot(across[i]) / c1);
+            reflectedTangent.copy(tangents[i]).addScaledVector(v1, -2 * v1.dot(tangents[i]) / c1);
+
+            // ...then in the plane that takes the reflected tangent onto the next tangent
+            v2.subVectors(tangents[i + 1], reflectedTangent);
+            const c2 = v2.dot(v2);
+            next.copy(reflectedAcross);
+            if (c2 > 0) next.addScaledVector(v2, -2 * v2.dot(reflectedAcross) / c2);
+        }
+
+        // Keep it exactly perpendicular to the tangent against rounding
+        next.addScaledVector(tangents[i + 1], -next.dot(tangents[i + 1])).normalize();
+        across.push(next);
+    }
+
+    let loopTwist = 0;
+    if (closed && closeLoops && sampleCount > 2) {
+        loopTwist = measureLoopTwist(tangents, across);
+        spreadTwist(positions, tangents, across, -loopTwist);
+    }
+    if (twist) {
+        applyTwist(positions, tangents, across, twist);
+    }
+
+    return { tangents, across, loopTwist };
+}
+
+/**
+ * How far the last frame of a closed loop has turned from the first, about the first tangent
+ * @returns {number} Radians
+ */
+function measureLoopTwist(tangents, across) {
+    const last = across.length - 1;
+    // Carry the last frame across the join onto the first tangent before comparing
+    const join = new THREE.Quaternion().setFromUnitVectors(tangents[last], tangents[0]);
+    const end = across[last].clone().applyQuaternion(join);
+    const sin = new THREE.Vector3().crossVectors(across[0], end).dot(tangents[0]);
+    return Math.atan2(sin, across[0].dot(end));
+}
+
+/**
+ * Rotate the frames about their tangents, from 0 at the start to `angle` at the end,
+ * in proportion to arc length
+ */
+function spreadTwist(positions, tangents, across, angle) {
+    const s = normalisedArcLengths(positions);
+    for (let i = 1; i < across.length; i++) {
+        across[i].applyAxisAngle(tangents[i], angle * s[i]);
+    }
+}
+
+/**
+ * Rotate the frames about their tangents by an authored twist profile
+ * @param {Function} twist - (s, turning) => degrees, from resolveTwistProfile()
+ */
+function applyTwist(positions, tangents, across, twist) {
+    const s = normalisedArcLengths(positions);
+    let turning = 0;
+    for (let i = 0; i < across.length; i++) {
+        if (i > 0) turning += THREE.MathUtils.radToDeg(tangents[i - 1].angleTo(tangents[i]));
+        across[i].applyAxisAngle(tangents[i], THREE.MathUtils.degToRad(twist(s[i], turning)));
+    }
+}
+
+/**
+ * @param {Array<THREE.Vector3>} positions
+ * @returns {Array<number>} Distance to each position along the path, from 0 to 1
+ */
+function normalisedArcLengths(positions) {
+    const distances = [0];
+    for (let i = 1; i < positions.length; i++) {
+        distances.push(distances[i - 1] + positions[i].distanceTo(positions[i - 1]));
+    }
+    const total = distances[distances.length - 1];
+    return distances.map(distance => (total > 0 ? distance / total : 0));
+}
@@ -16,6 +16,11 @@ export class RibbonSeries {
         this.totalSegmentCount = 0;  // For tracking total segments across all ribbons
         this.lastPathsPoints = [];   // Store for animation updates
         this.lastWidth = 1;
+        this.frameOptions = {};      // Passed to each ribbon (see Ribbon.setFrameOptions)
+        this.endMode = 'shorten';    // Passed to each ribbon (see Ribbon.END_MODES)
+        this.widthProfile = null;    // Passed to each ribbon (see Ribbon.setWidthProfile)
+        this.widthProfiles = null;   // Per-path profiles, overriding widthProfile
+        this.twist = null;           // Passed to each ribbon (see Ribbon.setTwist)
     }
 
     /**
@@ -28,6 +33,63 @@ export class RibbonSeries {
         return this;
     }
 
+    /**
+     * Set how every ribbon's frames are oriented; applies from the next build
+     * @param {Object} options - See Ribbon.setFrameOptions
+     * @returns {RibbonSeries} this for chaining
+     */
+    setFrameOptions(options = {}) {
+        this.frameOptions = { ...this.frameOptions, ...options };
+        return this;
+    }
+
+    /**
+     * Set how the last, partial segment of each path is drawn; applies from the next build
+     * @param {string} mode - One of Ribbon.END_MODES
+     * @returns {RibbonSeries} this for chaining
+     */
+    setEndMode(mode) {
+        if (!Ribbon.END_MODES.includes(mode)) {
+            console.warn(`[RibbonSeries] Unknown end mode "${mode}"; expected one of ${Ribbon.END_MODES.join(', ')}`);
+            return this;
+        }
+        this.endMode = mode;
+        return this;
+    }
+
+    /**
+     * Twist every ribbon about its path; applies from the next build
+     * @param {number|Array|Function|Object|null} profile - See Ribbon.setTwist
+     * @returns {RibbonSeries} this for chaining
+     */
+    setTwist(profile) {
+        this.twist = profile;
+        return this;
+    }
+
+    /**
+     * Vary every ribbon's width along its path; applies from the next build
+     * @param {string|Function|Array|Object|null} profile - See Ribbon.setWidthProfile
+     * @returns {RibbonSeries} this for chaining
+     */
+    setWidthProfile(profile) {
+        this.widthProfile = profile;
+        this.widthProfiles = null;
+        return this;
+    }
+
+    /**
+     * Give each path its own width profile, e.g. each stroke's pen pressure
+     * (see createPointWidthProfile in ribbonWidth.js)
+     * @param {Array|null} profiles - One profile per path (see Ribbon.setWidthProfile); paths
+     *   without one, or all of them for null, use the profile from setWidthProfile()
+     * @returns {RibbonSeries} this for chaining
+     */
+    setWidthProfiles(profiles) {
+        this.widthProfiles = profiles;
+        return this;
+    }
+
     /**
      * Build ribbons from multiple path point arrays
      * @param {Array<Array<THREE.Vector3>>} pathsPoints - Array of point arrays (one per path)
@@ -68,6 +130,11 @@ export class RibbonSeries {
                 ribbon.setTileManager(this.tileManager);
             }
 
+            ribbon.setFrameOptions(this.frameOptions);
+            ribbon.setEndMode(this.endMode);
+            ribbon.setWidthProfile(this.widthProfiles?.[i] ?? this.widthProfile);
+            ribbon.setTwist(this.twist);
+
             // Set segment offset for continuous texture indexing
             ribbon.setSegmentOffset(segmentOffset);
 
@@ -109,6 +176,13 @@ export class RibbonSeries {
         }
     }
 
+    /**
+     * Re-fetch materials for every ribbon, e.g. after the tile manager switched tile sets
+     */
+    refreshMaterials() {
+        this.ribbons.forEach(ribbon => ribbon.refreshMaterials());
+    }
+
     /**
      * Get the total number of segments across all ribbons
      * @returns {number} Total segment count
@@ -0,0 +1,129 @@
+/**
+ * Ribbon width profiles
+ *
+ * A profile scales the ribbon's width along its length. The width at a point is
+ * `width * scale(s)`, where s is the normalised arc length: 0 at the start of the path
+ * and 1 at the end. A profile can be:
+ * - a preset name (see WIDTH_PRESETS)
+ * - a function: s => scale
+ * - keyframes: [[s, scale], ...] or [{ at: s, scale }, ...], eased from one to the next
+ * - per-point scales: { points: [scale0, scale1, ...], positions: [s0, s1, ...] }, e.g. for
+ *   pen pressure or data values. Each scale applies at its position, with straight lines in
+ *   between. createPointWidthProfile() works the positions out from the input points; without
+ *   them the scales are spread evenly. Either way the profile follows arc length, so it still
+ *   fits after the path is cleaned up and resampled.
+ */
+
+export const WIDTH_PRESETS = {
+    constant: [[0, 1], [1, 1]],
+    taper: [[0, 0.1], [0.2, 1], [0.8, 1], [1, 0.1]],         // In from a point and back out to one
+    'taper-in': [[0, 0.1], [0.3, 1], [1, 1]],
+    'taper-out': [[0, 1], [0.7, 1], [1, 0.1]],
+    swell: [[0, 0.5], [0.5, 1.5], [1, 0.5]]                  // Widest in the middle
+};
+
+const smoothstep = x => x * x * (3 - 2 * x);
+
+/**
+ * Interpolate between sorted keyframes (shared with the twist profiles in ribbonFrames.js)
+ * @param {Array<[number, number]>} keyframes - [s, value] pairs, sorted by s
+ * @param {Function} ease - Maps 0..1 between two keyframes to 0..1
+ * @returns {Function} s => value
+ */
+export function interpolateKeyframes(keyframes, ease) {
+    return s => {
+        if (s <= keyframes[0][0]) return keyframes[0][1];
+        for (let i = 1; i < keyframes.length; i++) {
+            const [s1, scale1] = keyframes[i];
+            if (s <= s1) {
+                const [s0, scale0] = keyframes[i - 1];
+                const x = s1 > s0 ? (s - s0) / (s1 - s0) : 1;
+                return scale0 + (scale1 - scale0) * ease(x);
+            }
+        }
+        return keyframes[keyframes.length - 1][1];
+    };
+}
+
+function assertScale(scale, what) {
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || scale < 0) {
+        throw new Error(`Width profile ${what} must be a number of at least 0 (got ${JSON.stringify(scale)})`);
+    }
+}
+
+/**
+ * Per-point profile for a path, with each scale placed at its point's arc length
+ * @param {Array<{x: number, y: number, z?: number}>} points - The path as drawn or imported,
+ *   before any smoothing
+ * @param {Array<number>} scales - One width scale per point
+ * @returns {{points: Array<number>, positions: Array<number>}} A profile for setWidthProfile()
+ * @throws {Error} If there isn't one scale per point
+ */
+export function createPointWidthProfile(points, scales) {
+    if (points.length !== scales.length) {
+        throw new Error(`Width profile has ${scales.length} point scales for ${points.length} points`);
+    }
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        distances.push(distances[i - 1] + Math.hypot(b.x - a.x, b.y - a.y, (b.z ?? 0) - (a.z ?? 0)));
+    }
+    const total = distances[distances.length - 1];
+    return {
+        points: [...scales],
+        positions: distances.map(distance => (total > 0 ? distance / total : 0))
+    };
+}
+
+/**
+ * Turn a profile into a function of normalised arc length
+ * @param {string|Function|Array|Object|null} profile - See the module docs; null is constant
+ * @returns {Function} s => scale
+ * @throws {Error} If the profile isn't one of the accepted forms
+ */
+export function resolveWidthProfile(profile) {
+    if (profile === null || profile === undefined) return () => 1;
+
+    if (typeof profile === 'function') {
+        // Guard against NaN or negative widths from user code
+        return s => Math.max(0, Number(profile(s)) || 0);
+    }
+
+    if (typeof profile === 'string') {
+        if (!WIDTH_PRESETS[profile]) {
+            throw new Error(`Unknown width preset "${profile}" (presets: ${Object.keys(WIDTH_PRESETS).join(', ')})`);
+        }
+        return interpolateKeyframes(WIDTH_PRESETS[profile], smoothstep);
+    }
+
+    if (Array.isArray(profile)) {
+        if (profile.length === 0) throw new Error('Width profile keyframes must not be empty');
+        const keyframes = profile.map(keyframe => Array.isArray(keyframe) ? keyframe : [keyframe?.at, keyframe?.scale]);
+        keyframes.forEach(([s, scale]) => {
+            if (typeof s !== 'number' || !(s >= 0 && s <= 1)) {
+                throw new Error(`Width profile keyframe positions must be from 0 to 1 (got ${JSON.stringify(s)})`);
+            }
+            assertScale(scale, 'keyframe scales');
+        });
+        return interpolateKeyframes(keyframes.sort((a, b) => a[0] - b[0]), smoothstep);
+    }
+
+    if (Array.isArray(profile?.points)) {
+        const scales = profile.points;
+        if (scales.length === 0) throw new Error('Width profile point scales must not be empty');
+        scales.forEach(scale => assertScale(scale, 'point scales'));
+        const positions = profile.positions ?? scales.map((_, i) => (scales.length > 1 ? i / (scales.length - 1) : 0));
+        if (positions.length !== scales.length) {
+            throw new Error(`Width profile has ${scales.length} point scales but ${positions.length} positions`);
+        }
+        positions.forEach((s, i) => {
+            if (typeof s !== 'number' || !(s >= 0 && s <= 1) || s < (positions[i - 1] ?? 0)) {
+                throw new Error(`Width profile point positions must increase from 0 to 1 (got ${JSON.stringify(s)})`);
+            }
+        });
+        return interpolateKeyframes(positions.map((s, i) => [s, scales[i]]), x => x);
+    }
+
+    throw new Error('Width profile must be a preset name, a function, a list of keyframes or { points }');
+}
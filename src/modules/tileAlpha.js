@@ -0,0 +1,114 @@
+/**
+ * Alpha handling for tile materials
+ *
+ * Tiles with an alpha channel (PNG, or KTX2 with alpha) can render three ways:
+ * - 'opaque': alpha is ignored (the default; JPG tiles and most KTX2 sets)
+ * - 'mask':   alpha-tested cut-outs; pixels below the cutoff are discarded, the rest are
+ *             opaque and write depth, so lace-like ribbons need no sorting
+ * - 'blend':  translucent; segments are sorted back to front and don't write depth
+ *
+ * Tile data may store straight or premultiplied alpha; premultiplied texels are
+ * un-premultiplied before grading, so both look the same. Materials always output
+ * straight alpha for three.js's normal blending.
+ *
+ * The mode and cutoff are uniforms, so they change live; whether a material blends and
+ * writes depth is set with configureAlphaMaterial().
+ */
+
+import { uniform, vec4, max } from 'three/tsl';
+import { ALPHA_MODES } from './tileManifest.js';
+
+export { ALPHA_MODES };
+
+/**
+ * Uniform objects for the WebGL shaders, shared by every tile material
+ * @returns {Object}
+ */
+export function createAlphaUniforms() {
+    return {
+        uAlphaMode: { value: 0 }, // Index into ALPHA_MODES
+        uAlphaCutoff: { value: 0.5 },
+        uPremultipliedAlpha: { value: 0 }
+    };
+}
+
+/**
+ * TSL uniform nodes for the WebGPU materials, shared by every tile material
+ * (like the grading nodes, see colorGrading.js)
+ * @returns {Object}
+ */
+export function createAlphaNodes() {
+    return Object.fromEntries(Object.entries(createAlphaUniforms()).map(([name, { value }]) => [name, uniform(value)]));
+}
+
+/**
+ * Copy alpha settings into uniform objects or TSL uniform nodes
+ * @param {Object} uniforms - From createAlphaUniforms() or createAlphaNodes()
+ * @param {{mode: string, cutoff: number, premultiplied: boolean}} alpha
+ */
+export function applyAlphaUniforms(uniforms, alpha) {
+    uniforms.uAlphaMode.value = ALPHA_MODES.indexOf(alpha.mode);
+    uniforms.uAlphaCutoff.value = alpha.cutoff;
+    uniforms.uPremultipliedAlpha.value = alpha.premultiplied ? 1 : 0;
+}
+
+/**
+ * Set the per-material state for an alpha mode: blending and depth writes
+ * @param {THREE.Material} material
+ * @param {string} mode - One of ALPHA_MODES
+ */
+export function configureAlphaMaterial(material, mode) {
+    const transparent = mode === 'blend';
+    if (material.transparent !== transparent) {
+        material.transparent = transparent;
+        material.needsUpdate = true; // WebGPU builds opaque and transparent shaders differently
+    }
+    material.depthWrite = !transparent;
+}
+
+/**
+ * GLSL uniforms plus straightTileAlpha() (un-premultiply a raw texel) and
+ * resolveTileAlpha() (the alpha to output for the current mode). Callers discard
+ * fragments whose resolved alpha is 0.
+ */
+export const ALPHA_GLSL = /* glsl */`
+    uniform int uAlphaMode;
+    uniform float uAlphaCutoff;
+    uniform int uPremultipliedAlpha;
+
+    vec4 straightTileAlpha(vec4 texel) {
+        if (uPremultipliedAlpha == 1 && texel.a > 0.0) {
+            texel.rgb /= texel.a;
+        }
+        return texel;
+    }
+
+    float resolveTileAlpha(float alpha) {
+        if (uAlphaMode == 1) return alpha < uAlphaCutoff ? 0.0 : 1.0;
+        if (uAlphaMode == 2) return alpha;
+        return 1.0;
+    }
+`;
+
+/**
+ * TSL version of straightTileAlpha()
+ * @param {Node} texel - vec4 raw texel
+ * @param {Object} nodes - From createAlphaNodes()
+ * @returns {Node} vec4
+ */
+export function straightAlphaNode(texel, nodes) {
+    const unpremultiplied = vec4(texel.rgb.div(max(texel.a, 1e-5)), texel.a);
+    return nodes.uPremultipliedAlpha.equal(1).and(texel.a.greaterThan(0)).select(unpremultiplied, texel);
+}
+
+/**
+ * TSL version of resolveTileAlpha()
+ * @param {Node} alpha - float
+ * @param {Object} nodes - From createAlphaNodes()
+ * @returns {Node} float
+ */
+export function resolveAlphaNode(alpha, nodes) {
+    const masked = alpha.lessThan(nodes.uAlphaCutoff).select(0, 1);
+    return nodes.uAlphaMode.equal(1).select(masked,
+        nodes.uAlphaMode.equal(2).select(alpha, 1));
+}
@@ -0,0 +1,203 @@
+/**
+ * Lit shading for tile materials
+ *
+ * Tile materials are unlit by default. With shading on, the graded tile colour is used as
+ * albedo and lit by a small light rig (ambient plus up to MAX_LIGHTS directional lights),
+ * with either Lambert (diffuse only) or PBR (GGX specular, roughness/metalness) shading.
+ * The rig lives in uniforms rather than in scene lights, so the same maths runs in the
+ * WebGL shaders (LIGHTING_GLSL) and the WebGPU node materials (shadeColorNode()) and every
+ * setting changes live.
+ */
+
+import * as THREE from 'three';
+import {
+    uniform, vec3, float, max, dot, normalize, mix, pow, PI,
+    normalWorld, positionWorld, cameraPosition, faceDirection
+} from 'three/tsl';
+
+export const SHADING_MODES = ['unlit', 'lambert', 'pbr'];
+export const MAX_LIGHTS = 3;
+
+/**
+ * Default light rig: a warm key light, a cool fill and a rim light from behind
+ * Directions point from the ribbon towards the light, in world space.
+ */
+export const DEFAULT_LIGHTING = {
+    mode: 'unlit',
+    ambient: { color: '#ffffff', intensity: 0.35 },
+    lights: [
+        { direction: [0.5, 0.8, 0.6], color: '#fff4e0', intensity: 1.0 },
+        { direction: [-0.7, 0.2, 0.4], color: '#d0e0ff', intensity: 0.4 },
+        { direction: [0, 0.3, -1], color: '#ffffff', intensity: 0.3 }
+    ],
+    roughness: 0.6,
+    metalness: 0
+};
+
+/**
+ * Check a partial lighting update and merge it over the current settings
+ * @param {Object} current - Current settings (see DEFAULT_LIGHTING)
+ * @param {Object} changes - Settings to change; `lights` replaces the whole list
+ * @returns {Object} New settings
+ */
+export function mergeLighting(current, changes = {}) {
+    const lighting = { ...current, ...changes };
+    if (!SHADING_MODES.includes(lighting.mode)) {
+        throw new Error(`Shading mode must be one of ${SHADING_MODES.join(', ')} (got "${lighting.mode}")`);
+    }
+    if (!Array.isArray(lighting.lights) || lighting.lights.length > MAX_LIGHTS) {
+        throw new Error(`Lighting needs a list of at most ${MAX_LIGHTS} directional lights`);
+    }
+    for (const key of ['roughness', 'metalness']) {
+        if (!(lighting[key] >= 0 && lighting[key] <= 1)) {
+            throw new Error(`Lighting ${key} must be from 0 to 1 (got ${lighting[key]})`);
+        }
+    }
+    lighting.ambient = { ...current.ambient, ...changes.ambient };
+    return lighting;
+}
+
+/**
+ * Uniform objects for the WebGL shaders, shared by every tile material
+ * @returns {Object}
+ */
+export function createLightingUniforms() {
+    return {
+        uShading: { value: 0 }, // Index into SHADING_MODES
+        uAmbientLight: { value: new THREE.Color() },
+        uLightDirections: { value: Array.from({ length: MAX_LIGHTS }, () => new THREE.Vector3(0, 0, 1)) },
+        uLightColors: { value: Array.from({ length: MAX_LIGHTS }, () => new THREE.Color(0, 0, 0)) },
+        uRoughness: { value: DEFAULT_LIGHTING.roughness },
+        uMetalness: { value: DEFAULT_LIGHTING.metalness }
+    };
+}
+
+/**
+ * TSL uniform nodes for the WebGPU materials, shared by every tile material. They wrap the
+ * same Vector3/Color objects as a createLightingUniforms() set, one node per light.
+ * @returns {Object}
+ */
+export function createLightingNodes() {
+    const uniforms = createLightingUniforms();
+    return {
+        uShading: uniform(uniforms.uShading.value),
+        uAmbientLight: uniform(uniforms.uAmbientLight.value),
+        uLightDirections: uniforms.uLightDirections.value.map(direction => uniform(direction)),
+        uLightColors: uniforms.uLightColors.value.map(color => uniform(color)),
+        uRoughness: uniform(uniforms.uRoughness.value),
+        uMetalness: uniform(uniforms.uMetalness.value)
+    };
+}
+
+/**
+ * Copy lighting settings into uniform objects or TSL uniform nodes
+ * @param {Object} uniforms - From createLightingUniforms() or createLightingNodes()
+ * @param {Object} lighting - Settings (see DEFAULT_LIGHTING)
+ */
+export function applyLightingUniforms(uniforms, lighting) {
+    // The GLSL uniforms hold arrays in one uniform; the TSL nodes have one node per light
+    const directions = Array.isArray(uniforms.uLightDirections)
+        ? uniforms.uLightDirections.map(node => node.value)
+        : uniforms.uLightDirections.value;
+    const colors = Array.isArray(uniforms.uLightColors)
+        ? uniforms.uLightColors.map(node => node.value)
+        : uniforms.uLightColors.value;
+
+    uniforms.uShading.value = SHADING_MODES.indexOf(lighting.mode);
+    uniforms.uAmbientLight.value.set(lighting.ambient.color).multiplyScalar(lighting.ambient.intensity);
+    for (let i = 0; i < MAX_LIGHTS; i++) {
+        const light = lighting.lights[i];
+        if (light) {
+            directions[i].fromArray(light.direction).normalize();
+            colors[i].set(light.color).multiplyScalar(light.intensity ?? 1);
+        } else {
+            colors[i].setRGB(0, 0, 0); // Unused slot
+        }
+    }
+    uniforms.uRoughness.value = lighting.roughness;
+    uniforms.uMetalness.value = lighting.metalness;
+}
+
+/**
+ * GLSL uniforms plus shadeTileColor(albedo, normal, worldPosition), which returns the lit
+ * colour in linear light. Unlit mode returns the albedo unchanged.
+ */
+export const LIGHTING_GLSL = /* glsl */`
+    uniform int uShading;
+    uniform vec3 uAmbientLight;
+    uniform vec3 uLightDirections[${MAX_LIGHTS}];
+    uniform vec3 uLightColors[${MAX_LIGHTS}];
+    uniform float uRoughness;
+    uniform float uMetalness;
+
+    vec3 shadeTileColor(vec3 albedo, vec3 normal, vec3 worldPosition) {
+        if (uShading == 0) return albedo;
+
+        vec3 n = normalize(normal);
+        vec3 v = normalize(cameraPosition - worldPosition);
+        vec3 f0 = mix(vec3(0.04), albedo, uMetalness);
+        float a = uRoughness * uRoughness;
+        float a2 = a * a;
+        float k = (uRoughness + 1.0) * (uRoughness + 1.0) / 8.0;
+        float nDotV = max(dot(n, v), 1e-4);
+        vec3 color = uAmbientLight * albedo;
+
+        for (int i = 0; i < ${MAX_LIGHTS}; i++) {
+            vec3 l = uLightDirections[i];
+            float nDotL = max(dot(n, l), 0.0);
+            if (uShading == 1) {
+                color += albedo * uLightColors[i] * nDotL;
+                continue;
+            }
+            // GGX distribution, Schlick-GGX geometry, Schlick Fresnel
+            vec3 h = normalize(l + v);
+            float nDotH = max(dot(n, h), 0.0);
+            float d = a2 / (3.14159265 * pow(nDotH * nDotH * (a2 - 1.0) + 1.0, 2.0));
+            float g = nDotV / (nDotV * (1.0 - k) + k) * nDotL / (nDotL * (1.0 - k) + k);
+            vec3 f = f0 + (1.0 - f0) * pow(1.0 - max(dot(v, h), 0.0), 5.0);
+            vec3 specular = d * g * f / (4.0 * nDotV * max(nDotL, 1e-4));
+            vec3 diffuse = (1.0 - f) * (1.0 - uMetalness) * albedo;
+            // Lights are in "artist" units: a white light of intensity 1 shows the albedo as is
+            color += (diffuse + specular * 3.14159265) * uLightColors[i] * nDotL;
+        }
+        return color;
+    }
+`;
+
+/**
+ * TSL version of shadeTileColor(), using the fragment's world normal (flipped on back
+ * faces) and position
+ * @param {Node} albedo - vec3, linear
+ * @param {Object} nodes - From createLightingNodes()
+ * @returns {Node} vec3, linear
+ */
+export function shadeColorNode(albedo, nodes) {
+    const n = normalize(normalWorld.mul(faceDirection));
+    const v = normalize(cameraPosition.sub(positionWorld));
+    const f0 = mix(vec3(0.04), albedo, nodes.uMetalness);
+    const a = nodes.uRoughness.mul(nodes.uRoughness);
+    const a2 = a.mul(a);
+    const k = nodes.uRoughness.add(1).mul(nodes.uRoughness.add(1)).div(8);
+    const nDotV = max(dot(n, v), 1e-4);
+
+    let lambert = nodes.uAmbientLight.mul(albedo);
+    let pbr = lambert;
+    for (let i = 0; i < MAX_LIGHTS; i++) {
+        const l = nodes.uLightDirections[i];
+        const lightColor = nodes.uLightColors[i];
+        const nDotL = max(dot(n, l), 0);
+        lambert = lambert.add(albedo.mul(lightColor).mul(nDotL));
+
+        const h = normalize(l.add(v));
+        const nDotH = max(dot(n, h), 0);
+        const d = a2.div(PI.mul(pow(nDotH.mul(nDotH).mul(a2.sub(1)).add(1), 2)));
+        const g = nDotV.div(nDotV.mul(float(1).sub(k)).add(k))
+            .mul(nDotL.div(nDotL.mul(float(1).sub(k)).add(k)));
+        const f = f0.add(vec3(1).sub(f0).mul(pow(float(1).sub(max(dot(v, h), 0)), 5)));
+        const specular = f.mul(d.mul(g)).div(nDotV.mul(max(nDotL, 1e-4)).mul(4));
+        const diffuse = vec3(1).sub(f).mul(float(1).sub(nodes.uMetalness)).mul(albedo);
+        pbr = pbr.add(diffuse.add(specular.mul(PI)).mul(lightColor).mul(nDotL));
+    }
+
+    return nodes.uShading.equal(1).select(lambert, nodes.uShading.equal(2).select(pbr, albedo));
+}
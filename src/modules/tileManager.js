@@ -1,19 +1,172 @@
 import * as THREE from 'three';
 import * as THREE_WEBGPU from 'three/webgpu';
 import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
-import JSZip from 'jszip';
+import {
+    TileSource,
+    ZipTileSource,
+    KTX2FolderTileSource,
+    ImageFolderTileSource,
+    FileListTileSource,
+    IndexedDBTileSource
+} from './tileSources.js';
+import { VideoTileSource } from './videoTileSource.js';
+import { ProceduralTileSource } from './proceduralTileSource.js';
+import { PLAYBACK_MODES } from './tileManifest.js';
+import {
+    TileValidationError,
+    createIssue,
+    checkTileDimensions,
+    estimateTextureBytes,
+    hasKTX2Identifier,
+    buildReport
+} from './tileValidation.js';
+import {
+    DEFAULT_GRADING,
+    GRADING_GLSL,
+    mergeGrading,
+    createGradingUniforms,
+    createGradingNodes,
+    applyGradingUniforms,
+    gradeColorNode,
+    isDataSRGB
+} from './colorGrading.js';
+import {
+    ALPHA_MODES,
+    ALPHA_GLSL,
+    createAlphaUniforms,
+    createAlphaNodes,
+    applyAlphaUniforms,
+    configureAlphaMaterial,
+    straightAlphaNode,
+    resolveAlphaNode
+} from './tileAlpha.js';
+import {
+    DEFAULT_LIGHTING,
+    LIGHTING_GLSL,
+    mergeLighting,
+    createLightingUniforms,
+    createLightingNodes,
+    applyLightingUniforms,
+    shadeColorNode
+} from './tileLighting.js';
+import { DebugMaterials, DEBUG_VIEWS } from './debugMaterials.js';
+import { createAbortError, isAbortError } from '../utils/worker-pool.js';
 
 // TSL imports for WebGPU materials
-import { texture, uniform, uv, float, vec2 } from 'three/tsl';
+import { texture, uniform, uv, float, vec2, vec4, attribute, floor, fract, sin, mod, mix, frontFacing } from 'three/tsl';
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
 export class TileManager {
+    #openPromise = null;
+    #abortController = new AbortController(); // Aborted by cancel()
+    #tilePromises = new Map(); // tile index -> Promise of its material/texture
+    #issues = []; // Validation issues found so far (see tileValidation.js)
+    #tileRecords = []; // tile index -> { index, width, height, layerCount, bytes }
+    #checkedTiles = new Set(); // Tile indices that finished loading, successfully or not
+    #firstTileSize = null; // Reference size when the manifest doesn't give one
+    #resident = new Map(); // tile index -> estimated GPU bytes, least recently used first
+    #tileRefs = new Map(); // segment texture index -> number of meshes using it (see acquireTile)
+    #evictedTiles = new Set(); // Tile indices evicted at least once, to count reloads
+    #memoryStats = { evictions: 0, reloads: 0 };
+    #warnedOverBudget = false;
+    #randomOrder = []; // Cached 'random' sequence: segment index -> tile index
+    #gradingNodes = null; // WebGPU grading uniforms, created with the first material
+    #alphaNodes = null; // WebGPU alpha uniforms, likewise
+    #lightingNodes = null; // WebGPU lighting uniforms, likewise
+    #debugMaterials = null; // Created the first time a debug view is used
+    #backFaceNodes = null; // WebGPU back-face uniforms, shared like the grading ones
+    #backPlaceholders = {}; // 'array' / 'image' -> texture shown until a back tile loads
+
+    /**
+     * Registered tile source adapters, checked in order by createSource().
+     * Adapters registered later take precedence over the built-ins.
+     */
+    static sourceAdapters = [
+        VideoTileSource,
+        ProceduralTileSource,
+        ZipTileSource,
+        IndexedDBTileSource,
+        FileListTileSource,
+        KTX2FolderTileSource,
+        ImageFolderTileSource
+    ];
+
+    /**
+     * Per-segment layer phase modes for setPhaseMode(); the index is the shader's uPhaseMode
+     */
+    static PHASE_MODES = ['unison', 'segment', 'tile', 'random', 'arclength'];
+
+    /**
+     * Debug views for setDebugView()
+     */
+    static DEBUG_VIEWS = DEBUG_VIEWS;
+
+    /**
+     * Segment-to-tile ordering strategies for setTileOrder()
+     */
+    static TILE_ORDERS = ['sequential', 'reversed', 'mirrored', 'random', 'custom'];
+
+    /**
+     * What the back faces of the ribbon show (see setBackFace)
+     */
+    static BACK_FACE_MODES = ['same', 'color', 'offset', 'tileset'];
+
+    /**
+     * Register a custom tile source adapter
+     * @param {typeof TileSource} Adapter - Class extending TileSource with a static matches()
+     */
+    static registerSourceAdapter(Adapter) {
+        TileManager.sourceAdapters.unshift(Adapter);
+    }
+
+    /**
+     * Create the adapter for a source descriptor
+     * @param {*} source - String, File, FileList, descriptor object, or a TileSource instance
+     * @param {Object} options - Passed through to the adapter constructor
+     * @returns {TileSource}
+     */
+    static createSource(source, options = {}) {
+        if (source instanceof TileSource) return source;
+
+        const Adapter = TileManager.sourceAdapters.find(A => A.matches(source));
+        if (!Adapter) {
+            throw new Error(`[TileManager] No tile source adapter matches ${String(source)}`);
+        }
+        return new Adapter(source, options);
+    }
+
     constructor(options = {}) {
         const {
             source = 'skating-512.zip', // Default to zip file
             renderer = null,
             rendererType = 'webgl',
             tileCount = 32,
-            rotate90 = false,
+            rotate90 = false, // Used unless the tile set's manifest specifies rotate90
+            alphaMode = 'opaque', // 'opaque', 'mask' or 'blend', unless the manifest specifies it
+            alphaCutoff = 0.5, // 'mask' mode: alpha below this is cut away
+            premultipliedAlpha = false, // Whether the tile data's colour is premultiplied by alpha
+            sourceOptions = {}, // Extra adapter options, e.g. for video: { layerCount, mode, slitHeight }
+            fallbackSource = 'jpg', // Image source used when array textures or KTX2 aren't available
+            strict = false, // Fail hard: reject on broken tiles instead of showing solid-colour stand-ins
+            memoryBudget = Infinity, // Bytes of tile textures to keep resident before evicting unused tiles
+            frameBlend = false, // Crossfade between layers instead of stepping (see setFrameBlend)
+            grading = {}, // Initial colour grade (see setGrading)
+            lighting = {}, // Shading mode and light rig (see setLighting)
             onProgress = null // Callback for progress updates: (stage, current, total) => {}
         } = options;
 
@@ -23,193 +176,649 @@ export class TileManager {
         // General
         this.tileCount = tileCount;
         this.tileSize = 512;
+        this.defaults = { tileCount, tileSize: 512, rotate90: !!rotate90, alphaMode, alphaCutoff, premultipliedAlpha }; // Restored by setSource()
         this.loadedCount = 0;
+        this.isOpen = false;
         this.renderer = renderer;
         this.rendererType = rendererType; // Store renderer type for material creation
 
-        // JPG path
+        // JPG path (filled on demand, may be sparse)
         this.tiles = [];
 
-        // KTX2 path
+        // Array texture path (KTX2 or video; filled on demand, may be sparse)
         this.materials = [];
-
-        // Check if source is a zip file
-        this.isZip = typeof source === 'string' && source.endsWith('.zip');
-        // Use GitHub Releases for large zip files, local path for others
-        this.zipUrl = this.isZip ? this.#getZipUrl(source) : null;
-        this.zipFiles = null; // Will store extracted files as { '0.ktx2': Uint8Array, ... }
-
-        this.isKTX2 = typeof source === 'string' && (source.startsWith('ktx2') || source.endsWith('.zip'));
-        this.variant = this.isKTX2 ? (source.endsWith('planes') || source.includes('planes') ? 'planes' : 'waves') : null;
-        this.folder = this.isKTX2 && !this.isZip
-            ? (this.variant === 'planes' ? './tiles-ktx2-planes' : './tiles-ktx2-waves')
-            : './tiles-numbered';
-
-        // Cycling state (KTX2 only)
-        this.sharedLayerUniform = { value: 0 };
+        this.placeholderMaterial = null;
+
+        // Tile source adapter (zip, folder, files, IndexedDB, video, ...)
+        this.sourceOptions = sourceOptions;
+        this.source = TileManager.createSource(source, this.#getSourceOptions());
+        this.fallbackSource = fallbackSource;
+        this.strict = strict;
+        this.memoryBudget = memoryBudget;
+
+        // Tile-set metadata, filled from the source's manifest.json when it has one
+        this.manifest = null;
+        this.title = null;
+        this.author = null;
+        this.colorSpace = 'srgb'; // Colour space of the tile data: 'srgb' or 'linear'
+
+        // Cycling state (array textures only: KTX2 or video)
+        // tick() advances a frame counter; the shaders fold frame + phase offset into a layer
+        this.sharedFrameUniform = { value: 0 };
+        this.sharedPlaybackUniform = { value: 0 }; // Index into PLAYBACK_MODES: 0 = loop, 1 = pingpong, 2 = once
         this.sharedRotateUniform = { value: rotate90 ? 1 : 0 };
-        this.currentLayer = 0;
+        this.frame = 0; // Playback position in frames (fractional; the shaders floor it, or blend on it)
+        this.currentLayer = 0; // Layer shown by segments with no phase offset
         this.layerCount = 0;
-        this.direction = 1; // for ping-pong in planes mode
-        this.fps = 30; // fixed cadence
+        this.playbackMode = this.source.playbackMode; // 'loop', 'pingpong' or 'once'
+        this.fps = 30; // default cadence, overridden by manifest
         this.lastFrameTime = 0;
         this.rotate90 = !!rotate90;
 
+        // Colour grading (see setGrading); the WebGL uniforms are shared by every tile material
+        this.grading = mergeGrading(DEFAULT_GRADING, grading);
+        this.sharedGradingUniforms = createGradingUniforms();
+        this.#applyGrading();
+
+        // Lit shading (see setLighting); WebGL uniforms shared like the grading ones
+        this.lighting = DEFAULT_LIGHTING;
+        this.sharedLightingUniforms = createLightingUniforms();
+        this.setLighting(lighting);
+
+        // Back-face source (see setBackFace); WebGL uniforms shared like the grading ones
+        this.backFace = { mode: 'same', color: '#404050', frameOffset: 0, tileManager: null };
+        this.sharedBackFaceUniforms = {
+            uBackMode: { value: 0 }, // Index into BACK_FACE_MODES
+            uBackColor: { value: new THREE.Color(this.backFace.color) }, // Linear RGB
+            uBackFrameOffset: { value: 0 }
+        };
+
+        // Alpha handling (see setAlphaMode); WebGL uniforms shared like the grading ones
+        this.alphaMode = 'opaque';
+        this.alphaCutoff = alphaCutoff;
+        this.premultipliedAlpha = !!premultipliedAlpha;
+        this.sharedAlphaUniforms = createAlphaUniforms();
+        this.setAlphaMode(alphaMode);
+
+        // Transport (see play/pause/seek/setPlaybackRate/setPlaybackMode)
+        this.isPlaying = true;
+        this.playbackRate = 1; // Multiplier on fps; negative plays backwards
+        this.frameBlend = !!frameBlend;
+        this.sharedFrameBlendUniform = { value: this.frameBlend ? 1 : 0 };
+
+        // Segment-to-tile ordering (see setTileOrder)
+        this.tileOrder = 'sequential';
+        this.tileOrderSeed = 1;
+        this.tileOrderIndices = [];
+
+        // Per-segment phase offsets (see setPhaseMode)
+        this.phaseMode = 'unison';
+        this.phaseStep = 1;
+        this.phaseSeed = 0;
+        this.sharedPhaseModeUniform = { value: 0 };
+        this.sharedPhaseStepUniform = { value: 1 };
+        this.sharedPhaseSeedUniform = { value: 0 };
+
         // WebGPU material mode: 'node' (NodeMaterial) or 'basic' (MeshBasicMaterial)
         // Can be set externally (e.g., via URL param) before loading tiles.
         this.webgpuMaterialMode = options.webgpuMaterialMode || 'node';
 
+        // Debug view for ribbon segments (see setDebugView)
+        this.debugView = 'off';
+
         this._ktx2Loader = null;
     }
 
-    async loadAllTiles() {
-        // If using zip, extract files first
-        if (this.isZip) {
-            const extracted = await this.#extractZipFile();
-            if (!extracted) {
-                console.warn('[TileManager] Failed to extract zip file, falling back to JPG textures');
-                this.isKTX2 = false;
-                this.isZip = false;
-            }
+    /**
+     * Whether tiles are rendered from layered array textures (KTX2 or video)
+     * rather than static JPG textures.
+     */
+    get usesArrayTextures() {
+        return this.source.format !== 'image';
+    }
+
+    get isKTX2() {
+        return this.source.format === 'ktx2';
+    }
+
+    /**
+     * Whether tiles have more than one layer to play: always for array textures,
+     * and for image tiles laid out as sprite-sheet atlases or frame folders.
+     */
+    get isAnimated() {
+        return this.usesArrayTextures || this.layerCount > 1;
+    }
+
+    #getSourceOptions() {
+        return {
+            tileCount: this.tileCount,
+            tileSize: this.tileSize,
+            ...this.sourceOptions,
+            onProgress: this.onProgress
+        };
+    }
+
+    #fallBackToImages(reason) {
+        console.warn(`[TileManager] ${reason}, falling back to image tiles`);
+        this.source.dispose();
+        this.source = TileManager.createSource(this.fallbackSource, this.#getSourceOptions());
+        if (this.usesArrayTextures) {
+            // A fallback has to work everywhere
+            this.source = new ImageFolderTileSource('jpg', this.#getSourceOptions());
+        }
+    }
+
+    /**
+     * Configure playback and presentation from the source's manifest (if any)
+     */
+    #applyManifest() {
+        const manifest = this.source.manifest;
+        this.manifest = manifest;
+        this.playbackMode = this.source.playbackMode;
+        this.#updateUniform('sharedPlaybackUniform', '_playbackUniform', PLAYBACK_MODES.indexOf(this.playbackMode));
+        if (!manifest) return;
+
+        this.title = manifest.title ?? null;
+        this.author = manifest.author ?? null;
+        this.fps = manifest.fps ?? this.fps;
+        this.colorSpace = manifest.colorSpace ?? this.colorSpace;
+        this.#applyGrading();
+        if (manifest.alphaMode !== undefined || manifest.alphaCutoff !== undefined || manifest.premultipliedAlpha !== undefined) {
+            this.setAlphaMode(manifest.alphaMode ?? this.alphaMode, {
+                cutoff: manifest.alphaCutoff,
+                premultiplied: manifest.premultipliedAlpha
+            });
+        }
+        if (manifest.rotate90 !== undefined) {
+            this.setRotate90(manifest.rotate90);
         }
 
-        if (this.isKTX2) {
-            const ok = await this.#initKTX2();
-            if (!ok) {
-                console.warn('[TileManager] Falling back to JPG textures');
-                this.isKTX2 = false;
+        console.log(`[TileManager] Applied manifest${this.title ? ` for "${this.title}"` : ''}`, {
+            author: this.author,
+            fps: this.fps,
+            playbackMode: this.playbackMode,
+            rotate90: this.rotate90,
+            colorSpace: this.colorSpace
+        });
+    }
+
+    /**
+     * Open the tile source (download, unpack or decode) without building any tiles.
+     * After this resolves, tiles can be requested individually with requestTile().
+     */
+    async open() {
+        if (this.#openPromise) return this.#openPromise;
+
+        this.#openPromise = (async () => {
+            const signal = this.#abortController.signal;
+
+            // Download / unpack / decode the tile set
+            const openedSource = this.source;
+            try {
+                await this.source.open({ signal });
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                console.error(`[TileManager] Failed to open ${this.source.constructor.name}:`, error);
+                this.#reportFailure('load-error', null, `Couldn't open ${this.source.constructor.name}: ${error?.message || error}`);
+                this.#fallBackToImages('Tile source unavailable');
+            }
+
+            if (this.usesArrayTextures && !this.#supportsArrayTextures()) {
+                this.#fallBackToImages('Array textures unsupported');
             }
+
+            if (this.isKTX2) {
+                const ok = await this.#initKTX2();
+                if (!ok) {
+                    this.#fallBackToImages('KTX2 unavailable');
+                }
+            }
+
+            // The fallback source still needs opening (for its manifest); its tile URLs work regardless
+            if (this.source !== openedSource) {
+                try {
+                    await this.source.open({ signal });
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    console.warn(`[TileManager] Failed to open fallback ${this.source.constructor.name}:`, error);
+                }
+            }
+            signal.throwIfAborted();
+
+            this.tileCount = this.source.tileCount;
+            this.tileSize = this.source.tileSize;
+            if (!this.usesArrayTextures) {
+                // Array textures report their depth as they load; image layouts are known up front
+                this.layerCount = this.source.imageLayout === 'single' ? 1 : this.source.layerCount;
+            }
+            this.#applyManifest();
+            this.isOpen = true;
+            console.log(`[TileManager] Source ${this.source.constructor.name}: ${this.tileCount} tiles, ${this.tileSize}px, ${this.source.layerCount} layer(s), format=${this.source.format}`);
+        })();
+
+        return this.#openPromise;
+    }
+
+    /**
+     * Cancel loading: stops downloads, worker extraction and video decoding, and makes
+     * pending open()/requestTile() promises reject with an AbortError.
+     * A cancelled TileManager stays cancelled until setSource() gives it a new tile set.
+     */
+    cancel() {
+        if (this.#abortController.signal.aborted) return;
+        console.log('[TileManager] Cancelling tile loading');
+        this.#abortController.abort(createAbortError('Tile loading cancelled'));
+    }
+
+    get isCancelled() {
+        return this.#abortController.signal.aborted;
+    }
+
+    /**
+     * Switch to another tile set in place. Loading of the current set is cancelled and its
+     * tiles disposed, so call refreshMaterials() on any Ribbon/RibbonSeries straight after
+     * this (before awaiting it); their segments show placeholders until the new tiles load.
+     *
+     * Transport and phase settings carry over; fps, playback mode, rotation and colour
+     * space come from the new set's manifest, as they do on first load.
+     *
+     * @param {*} source - Any source accepted by the constructor (name, File, FileList, descriptor)
+     * @param {Object} options
+     * @param {Object} options.sourceOptions - Extra adapter options (defaults to the current ones)
+     * @returns {Promise<void>} Resolves once the new source is open
+     */
+    async setSource(source, { sourceOptions = this.sourceOptions } = {}) {
+        // Build the adapter first so an unrecognised source leaves the current set untouched
+        const nextSource = TileManager.createSource(source, {
+            tileCount: this.defaults.tileCount,
+            tileSize: this.defaults.tileSize,
+            ...sourceOptions,
+            onProgress: this.onProgress
+        });
+        this.sourceOptions = sourceOptions;
+        this.tileCount = this.defaults.tileCount;
+        this.tileSize = this.defaults.tileSize;
+
+        this.cancel();
+        this.#abortController = new AbortController();
+        this.#openPromise = null;
+        this.#tilePromises.clear();
+        this.#disposeTiles();
+        this.#resetValidation();
+        this.source.dispose();
+        this.source = nextSource;
+
+        // Back to first-load state
+        this.isOpen = false;
+        this.manifest = null;
+        this.title = null;
+        this.author = null;
+        this.colorSpace = 'srgb';
+        this.#applyGrading();
+        this.fps = 30;
+        this.layerCount = 0;
+        this.lastFrameTime = 0;
+        this.#setFrame(0);
+        this.setRotate90(this.defaults.rotate90);
+        const { alphaMode, alphaCutoff, premultipliedAlpha } = this.defaults;
+        this.setAlphaMode(alphaMode, { cutoff: alphaCutoff, premultiplied: premultipliedAlpha });
+        this.playbackMode = this.source.playbackMode;
+
+        console.log(`[TileManager] Switching tile set to ${this.source.constructor.name}`);
+        await this.open();
+    }
+
+    #disposeTiles() {
+        this.materials.forEach(material => this.#disposeTileResult(material));
+        this.tiles.forEach(texture => this.#disposeTileResult(texture));
+        this.materials = [];
+        this.tiles = [];
+        this.loadedCount = 0;
+        this.#resident.clear();
+        this.#evictedTiles.clear();
+    }
+
+    // --- Memory budget ---
+
+    /**
+     * Mark a tile as in use by a mesh, so it is never evicted. Pair with releaseTile().
+     * @param {number} index - Segment texture index (mapped through the tile order)
+     */
+    acquireTile(index) {
+        this.#tileRefs.set(index, (this.#tileRefs.get(index) || 0) + 1);
+        this.#touchTile(this.getTileIndex(index));
+    }
+
+    /**
+     * A mesh no longer uses this tile; it may be evicted the next time a load pushes
+     * usage over budget (not straight away, as ribbons release and re-acquire on rebuild)
+     * @param {number} index - Segment texture index passed to acquireTile()
+     */
+    releaseTile(index) {
+        const count = (this.#tileRefs.get(index) || 0) - 1;
+        if (count > 0) {
+            this.#tileRefs.set(index, count);
+        } else {
+            this.#tileRefs.delete(index);
         }
+        // Just released means recently used: evict it after tiles that have been idle longer
+        this.#touchTile(this.getTileIndex(index));
+    }
+
+    /**
+     * @param {number} bytes - New budget (Infinity to disable eviction)
+     */
+    setMemoryBudget(bytes) {
+        this.memoryBudget = bytes;
+        this.#evictOverBudget();
+    }
+
+    /**
+     * @returns {{budget: number, residentBytes: number, residentTiles: number, referencedTiles: number, evictions: number, reloads: number, overBudget: boolean}}
+     */
+    getMemoryStats() {
+        const residentBytes = this.#getResidentBytes();
+        return {
+            budget: this.memoryBudget,
+            residentBytes,
+            residentTiles: this.#resident.size,
+            referencedTiles: this.#getReferencedTiles().size,
+            evictions: this.#memoryStats.evictions,
+            reloads: this.#memoryStats.reloads,
+            overBudget: residentBytes > this.memoryBudget
+        };
+    }
+
+    #getResidentBytes() {
+        let total = 0;
+        this.#resident.forEach(bytes => { total += bytes; });
+        return total;
+    }
+
+    // References are kept by segment index, so map them through the current tile order
+    #getReferencedTiles() {
+        return new Set([...this.#tileRefs.keys()].map(index => this.getTileIndex(index)));
+    }
+
+    // Move a resident tile to the most recently used end
+    #touchTile(tileIndex) {
+        if (!this.#resident.has(tileIndex)) return;
+        const bytes = this.#resident.get(tileIndex);
+        this.#resident.delete(tileIndex);
+        this.#resident.set(tileIndex, bytes);
+    }
+
+    #trackResidency(tileIndex, result) {
+        const texture = result?._arrayTexture ?? (result?.isTexture ? result : null);
+        this.#resident.set(tileIndex, estimateTextureBytes(texture));
+        if (this.#evictedTiles.delete(tileIndex)) {
+            this.#memoryStats.reloads++;
+        }
+        this.#evictOverBudget();
+    }
+
+    /**
+     * Dispose least-recently-used tiles that no mesh references until the resident
+     * total fits the budget. Evicted tiles reload on their next getMaterial()/getTile().
+     */
+    #evictOverBudget() {
+        let residentBytes = this.#getResidentBytes();
+        if (residentBytes <= this.memoryBudget) {
+            this.#warnedOverBudget = false;
+            return;
+        }
+
+        const referenced = this.#getReferencedTiles();
+        for (const [tileIndex, bytes] of this.#resident) {
+            if (residentBytes <= this.memoryBudget) break;
+            if (referenced.has(tileIndex)) continue;
+
+            this.#disposeTileResult(this.usesArrayTextures ? this.materials[tileIndex] : this.tiles[tileIndex]);
+            delete this.materials[tileIndex];
+            delete this.tiles[tileIndex];
+            this.#tilePromises.delete(tileIndex);
+            this.#resident.delete(tileIndex);
+            this.#evictedTiles.add(tileIndex);
+            this.loadedCount--;
+            this.#memoryStats.evictions++;
+            residentBytes -= bytes;
+        }
+
+        // Everything left is on screen; warn once until usage drops back under budget
+        if (residentBytes > this.memoryBudget && !this.#warnedOverBudget) {
+            this.#warnedOverBudget = true;
+            console.warn(`[TileManager] Tiles in use need ${(residentBytes / 1048576).toFixed(1)} MB, over the ${(this.memoryBudget / 1048576).toFixed(1)} MB budget`);
+        }
+    }
+
+    /**
+     * Load every tile up front. Prefer open() + requestTile() when only some tiles are needed.
+     */
+    async loadAllTiles() {
+        await this.open();
 
         // Report initial building progress
         if (this.onProgress) {
-            this.onProgress('building', 0, this.tileCount);
+            this.onProgress('building', this.loadedCount, this.tileCount);
         }
 
         const promises = [];
         for (let i = 0; i < this.tileCount; i++) {
-            const promise = (this.isKTX2 ? this.#loadKTX2Tile(i) : this.#loadJPGTile(i)).then(result => {
-                // Report progress after each tile is loaded
-                if (this.onProgress) {
-                    this.onProgress('building', i + 1, this.tileCount);
-                }
-                return result;
-            });
-            promises.push(promise);
+            promises.push(this.#requestTileAt(i));
         }
+        await Promise.all(promises);
 
-        const results = await Promise.all(promises);
-
-        if (this.isKTX2) {
-            this.materials = results;
-            console.log(`[TileManager] Loaded ${this.materials.length} KTX2 materials, layerCount=${this.layerCount}`);
+        if (this.usesArrayTextures) {
+            console.log(`[TileManager] Loaded ${this.materials.length} ${this.source.format} materials, layerCount=${this.layerCount}`);
             return this.materials;
         } else {
-            this.tiles = results;
             console.log(`[TileManager] Loaded ${this.tiles.length} JPG textures`);
             return this.tiles;
         }
     }
 
-    // Map zip filenames to their URLs (GitHub Releases for large files)
-    // Note: GitHub Releases doesn't support CORS, so we use a proxy for cross-origin requests
-    #getZipUrl(source) {
-        const GITHUB_RELEASES = {
-            'skating-512.zip': 'https://github.com/nsitu/rivvon/releases/download/textures/skating-512.zip'
-        };
+    // --- Tile ordering ---
+
+    /**
+     * Choose how segments map to tiles. Ribbons pass their segment index (plus segmentOffset,
+     * so a RibbonSeries continues the order from one path to the next) and get the tile
+     * this strategy picks:
+     * - 'sequential': 0, 1, 2, ... n-1, 0, 1, ...
+     * - 'reversed':   n-1, n-2, ... 0, n-1, ...
+     * - 'mirrored':   0, 1, ... n-1, n-2, ... 1, 0, 1, ... (ping-pong)
+     * - 'random':     seeded random order with no tile twice in a row
+     * - 'custom':     the given list of tile indices, repeated
+     *
+     * Call refreshMaterials() on ribbons afterwards to re-texture existing segments.
+     *
+     * @param {string} order - One of TileManager.TILE_ORDERS
+     * @param {Object} options
+     * @param {number} options.seed - Seed for 'random'
+     * @param {Array<number>} options.indices - Tile indices for 'custom'
+     */
+    setTileOrder(order, { seed = this.tileOrderSeed, indices = this.tileOrderIndices } = {}) {
+        if (!TileManager.TILE_ORDERS.includes(order)) {
+            console.warn(`[TileManager] Unknown tile order "${order}"`);
+            return;
+        }
+        const validIndices = indices.filter(i => Number.isInteger(i) && i >= 0);
+        if (order === 'custom' && validIndices.length === 0) {
+            console.warn('[TileManager] Custom tile order needs at least one tile index');
+            return;
+        }
 
-        const releaseUrl = GITHUB_RELEASES[source];
-        if (releaseUrl) {
-            // Check if we're on the same origin (local dev) or need CORS proxy
-            const isLocalDev = window.location.hostname === 'localhost' ||
-                window.location.hostname === '127.0.0.1';
+        this.tileOrder = order;
+        this.tileOrderSeed = seed;
+        this.tileOrderIndices = validIndices;
+        this.#randomOrder = [];
+        console.log(`[TileManager] Tile order: ${order}`, order === 'custom' ? validIndices : { seed });
+    }
 
-            if (isLocalDev) {
-                // Local development can use the URL directly (or local file)
-                return `./${source}`;
+    /**
+     * Tile shown by a segment under the current ordering strategy
+     * @param {number} segmentIndex - Segment index including any segmentOffset
+     * @returns {number} Tile index in [0, tileCount)
+     */
+    getTileIndex(segmentIndex) {
+        const n = this.tileCount;
+        const i = Math.max(0, Math.floor(segmentIndex));
+        if (n <= 1) return 0;
+
+        switch (this.tileOrder) {
+            case 'reversed':
+                return n - 1 - (i % n);
+            case 'mirrored': {
+                const period = 2 * (n - 1);
+                const p = i % period;
+                return p < n ? p : period - p;
             }
-
-            // For production (GitHub Pages), use corsproxy.io to bypass CORS
-            return `https://corsproxy.io/?${encodeURIComponent(releaseUrl)}`;
+            case 'random':
+                return this.#getRandomOrderIndex(i);
+            case 'custom':
+                return this.tileOrderIndices[i % this.tileOrderIndices.length] % n;
+            default:
+                return i % n;
         }
-
-        // Fall back to local path
-        return `./${source}`;
     }
 
-    async #extractZipFile() {
-        try {
-            console.log(`[TileManager] Fetching zip file: ${this.zipUrl}`);
+    // Extend the cached random sequence as far as needed; each pick differs from the one before
+    #getRandomOrderIndex(segmentIndex) {
+        const n = this.tileCount;
+        if (this.#randomOrder.length > 0 && this.#randomOrder.tileCount !== n) {
+            this.#randomOrder = [];
+        }
+        const order = this.#randomOrder;
+        order.tileCount = n;
 
-            // Report downloading stage
-            if (this.onProgress) {
-                this.onProgress('downloading', 0, 1);
-            }
+        if (order.length === 0) {
+            order.random = mulberry32(this.tileOrderSeed);
+        }
+        while (order.length <= segmentIndex) {
+            const previous = order.length > 0 ? order[order.length - 1] : -1;
+            let next = Math.floor(order.random() * (previous < 0 ? n : n - 1));
+            if (previous >= 0 && next >= previous) next++; // Skip the previous tile
+            order.push(next);
+        }
+        return order[segmentIndex];
+    }
 
-            const response = await fetch(this.zipUrl);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch zip file: ${response.statusText}`);
-            }
+    /**
+     * Whether the tile for a segment has finished loading
+     * @param {number} index - Segment index (mapped through the tile order)
+     * @returns {boolean}
+     */
+    isTileLoaded(index) {
+        const tileIndex = this.getTileIndex(index);
+        return this.usesArrayTextures ? !!this.materials[tileIndex] : !!this.tiles[tileIndex];
+    }
 
-            const arrayBuffer = await response.arrayBuffer();
-            console.log(`[TileManager] Zip file fetched, size: ${arrayBuffer.byteLength} bytes`);
+    /**
+     * Load the tile for a segment on demand. Repeated requests share the same load.
+     * @param {number} index - Segment index (mapped through the tile order)
+     * @returns {Promise<THREE.Material|THREE.Texture>} Material (array path) or texture (JPG path)
+     */
+    requestTile(index) {
+        if (!this.isOpen) {
+            // The mapping depends on the real tile count, which is known once the source is open
+            const promise = this.open().then(() => this.requestTile(index));
+            promise.catch(() => { }); // Open failures reach whoever awaits open()
+            return promise;
+        }
+        return this.#requestTileAt(this.getTileIndex(index));
+    }
 
-            const zip = new JSZip();
-            const zipData = await zip.loadAsync(arrayBuffer);
+    #requestTileAt(tileIndex) {
+        if (!this.#tilePromises.has(tileIndex)) {
+            const signal = this.#abortController.signal;
+            const promise = this.open()
+                .then(() => this.#loadTile(tileIndex))
+                .then(result => {
+                    if (signal.aborted) {
+                        // Finished after cancel(): throw the work away
+                        this.#disposeTileResult(result);
+                        throw createAbortError('Tile loading cancelled');
+                    }
+                    if (this.usesArrayTextures) {
+                        this.materials[tileIndex] = result;
+                    } else {
+                        this.tiles[tileIndex] = result;
+                    }
+                    this.loadedCount++;
+                    this.#recordTile(tileIndex, result);
+                    this.#trackResidency(tileIndex, result);
 
-            // Count ktx2 files first
-            const ktx2Files = [];
-            zipData.forEach((relativePath, file) => {
-                if (relativePath.endsWith('.ktx2')) {
-                    ktx2Files.push({ relativePath, file });
+                    // Report progress after each tile is loaded
+                    if (this.onProgress) {
+                        this.onProgress('building', this.loadedCount, this.tileCount);
+                    }
+                    return result;
+                });
+            // Callers that only kick off a load (getMaterial/getTile) don't handle rejections
+            promise.catch(error => {
+                if (!isAbortError(error)) {
+                    this.#checkedTiles.add(tileIndex);
+                    console.error(`[TileManager] Failed to load tile ${tileIndex}:`, error);
                 }
             });
+            this.#tilePromises.set(tileIndex, promise);
+        }
+        return this.#tilePromises.get(tileIndex);
+    }
 
-            const totalFiles = ktx2Files.length;
-            console.log(`[TileManager] Found ${totalFiles} KTX2 files to extract`);
-
-            // Extract all ktx2 files into memory with progress tracking
-            this.zipFiles = {};
-            let extractedCount = 0;
-
-            // Report initial extraction progress
-            if (this.onProgress) {
-                this.onProgress('extracting', 0, totalFiles);
-            }
-
-            for (const { relativePath, file } of ktx2Files) {
-                const data = await file.async('uint8array');
-                this.zipFiles[relativePath] = data;
-                extractedCount++;
+    /**
+     * Lightweight material shown on segments whose tile is still loading
+     * @returns {THREE.MeshBasicMaterial}
+     */
+    getPlaceholderMaterial() {
+        if (!this.placeholderMaterial) {
+            this.placeholderMaterial = new THREE.MeshBasicMaterial({
+                color: 0x3a3a4a,
+                side: THREE.DoubleSide
+            });
+        }
+        return this.placeholderMaterial;
+    }
 
-                // Report progress after each file
-                if (this.onProgress) {
-                    this.onProgress('extracting', extractedCount, totalFiles);
-                }
-            }
+    #disposeTileResult(result) {
+        if (result?.isMaterial) {
+            result._arrayTexture?.dispose();
+            result.dispose();
+        } else if (result?.isTexture) {
+            result.dispose();
+        }
+    }
 
-            console.log(`[TileManager] Extracted ${Object.keys(this.zipFiles).length} KTX2 files from zip`);
-            return true;
-        } catch (error) {
-            console.error('[TileManager] Failed to extract zip file:', error);
-            return false;
+    #loadTile(index) {
+        switch (this.source.format) {
+            case 'ktx2':
+                return this.#loadKTX2Tile(index);
+            case 'array':
+                return this.#loadArrayTile(index);
+            default:
+                return this.#loadImageTile(index);
         }
     }
 
-    async #initKTX2() {
-        // For WebGL: Require WebGL2 for sampler2DArray
+    // For WebGL: Require WebGL2 for sampler2DArray
+    #supportsArrayTextures() {
         if (this.rendererType === 'webgl') {
             const gl2 = document.createElement('canvas').getContext('webgl2');
             if (!gl2) {
-                console.warn('[TileManager] WebGL2 not available; cannot use KTX2 array textures');
+                console.warn('[TileManager] WebGL2 not available; cannot use array textures');
                 return false;
             }
         }
+        return true;
+    }
 
+    async #initKTX2() {
         try {
             // Use the same KTX2Loader for both renderer types
             this._ktx2Loader = new KTX2Loader();
             this._ktx2Loader.setTranscoderPath('./wasm/');
+            // Transcoding runs in KTX2Loader's own worker pool; leave a core for the main thread
+            const cores = navigator.hardwareConcurrency || 2;
+            this._ktx2Loader.setWorkerLimit(Math.min(4, Math.max(1, cores - 1)));
 
             if (this.renderer) {
                 // Use async detection for WebGPU, sync for WebGL
@@ -235,57 +844,154 @@ export class TileManager {
         }
     }
 
-    #createArrayMaterial(arrayTexture) {
-        if (this.rendererType === 'webgpu') {
-            return this.#createArrayMaterialWebGPU(arrayTexture);
-        } else {
-            return this.#createArrayMaterialWebGL(arrayTexture);
-        }
+    #createArrayMaterial(arrayTexture, index) {
+        const material = this.rendererType === 'webgpu'
+            ? this.#createArrayMaterialWebGPU(arrayTexture, index)
+            : this.#createArrayMaterialWebGL(arrayTexture, index);
+
+        // Keep a reference for disposal
+        material._arrayTexture = arrayTexture;
+        this.#bindBackTexture(material, index);
+        return material;
     }
 
-    #createArrayMaterialWebGL(arrayTexture) {
+    #createArrayMaterialWebGL(arrayTexture, index) {
         const layerCount = arrayTexture.image?.depth || 1;
+        // Per-material back-face tile (see #bindBackTexture)
+        const backUniforms = {
+            uBackTexture: { value: this.#getBackPlaceholder('array') },
+            uBackLayerCount: { value: 1 }
+        };
 
         const material = new THREE.ShaderMaterial({
             glslVersion: THREE.GLSL3,
             uniforms: {
                 uTexArray: { value: arrayTexture },
-                uLayer: this.sharedLayerUniform,
+                uFrame: this.sharedFrameUniform,
+                uPlayback: this.sharedPlaybackUniform,
+                uFrameBlend: this.sharedFrameBlendUniform,
                 uLayerCount: { value: layerCount },
-                uRotate90: this.sharedRotateUniform
+                uTileIndex: { value: index },
+                uPhaseMode: this.sharedPhaseModeUniform,
+                uPhaseStep: this.sharedPhaseStepUniform,
+                uPhaseSeed: this.sharedPhaseSeedUniform,
+                uRotate90: this.sharedRotateUniform,
+                ...this.sharedGradingUniforms,
+                ...this.sharedAlphaUniforms,
+                ...this.sharedLightingUniforms,
+                ...this.sharedBackFaceUniforms,
+                ...backUniforms
             },
             vertexShader: /* glsl */`
+                in vec2 segmentPhase;
                 out vec2 vUv;
+                out vec2 vSegmentPhase;
+                out vec3 vWorldNormal;
+                out vec3 vWorldPosition;
                 void main() {
                     vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    vSegmentPhase = segmentPhase;
+                    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+                    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                    vWorldPosition = worldPosition.xyz;
+                    gl_Position = projectionMatrix * viewMatrix * worldPosition;
                 }
             `,
             fragmentShader: /* glsl */`
                 precision highp float;
                 precision highp sampler2DArray;
                 in vec2 vUv;
+                in vec2 vSegmentPhase; // (segment index, position along segment)
+                in vec3 vWorldNormal;
+                in vec3 vWorldPosition;
                 uniform sampler2DArray uTexArray;
-                uniform int uLayer;
+                uniform float uFrame;
+                uniform int uPlayback;
+                uniform int uFrameBlend;
+                uniform float uLayerCount;
+                uniform float uTileIndex;
+                uniform int uPhaseMode;
+                uniform float uPhaseStep;
+                uniform float uPhaseSeed;
                 uniform int uRotate90;
+                uniform int uBackMode;
+                uniform vec3 uBackColor;
+                uniform float uBackFrameOffset;
+                uniform sampler2DArray uBackTexture;
+                uniform float uBackLayerCount;
                 out vec4 outColor;
+                ${GRADING_GLSL}
+                ${ALPHA_GLSL}
+                ${LIGHTING_GLSL}
+
+                // Layer offset for this fragment; modes match TileManager.PHASE_MODES
+                float phaseOffset(float layerCount) {
+                    if (uPhaseMode == 1) return vSegmentPhase.x * uPhaseStep;
+                    if (uPhaseMode == 2) return uTileIndex * uPhaseStep;
+                    if (uPhaseMode == 3) return floor(fract(sin(vSegmentPhase.x * 12.9898 + uPhaseSeed * 78.233) * 43758.5453) * layerCount);
+                    if (uPhaseMode == 4) return (vSegmentPhase.x + vSegmentPhase.y) * uPhaseStep;
+                    return 0.0;
+                }
+
+                // Fold a frame count into a layer index (loop, ping-pong or once)
+                float foldLayer(float frame, float layerCount) {
+                    if (layerCount <= 1.0) return 0.0;
+                    if (uPlayback == 2) return clamp(frame, 0.0, layerCount - 1.0);
+                    if (uPlayback == 1) {
+                        float period = 2.0 * (layerCount - 1.0);
+                        float p = mod(frame, period);
+                        return p < layerCount ? p : period - p;
+                    }
+                    return mod(frame, layerCount);
+                }
+
+                // Front tile, or the back tile set's tile on back faces (modes match TileManager.BACK_FACE_MODES)
+                vec4 sampleTile(bool backTiles, vec2 uv, float layer) {
+                    return backTiles ? texture(uBackTexture, vec3(uv, layer)) : texture(uTexArray, vec3(uv, layer));
+                }
+
                 void main() {
+                    bool backFace = !gl_FrontFacing && uBackMode != 0;
+                    bool backTiles = backFace && uBackMode == 3;
                     // Optionally rotate by 90 degrees (clockwise), then flip V
                     vec2 uv0 = vUv;
                     vec2 uvR = (uRotate90 == 1) ? vec2(uv0.y, 1.0 - uv0.x) : uv0;
                     vec2 flippedUv = vec2(uvR.x, 1.0 - uvR.y);
-                    outColor = texture(uTexArray, vec3(flippedUv, float(uLayer)));
+                    // A back-face source reads the right way round from behind, rather than mirrored
+                    if (backFace) flippedUv.x = 1.0 - flippedUv.x;
+                    float layerCount = backTiles ? uBackLayerCount : uLayerCount;
+                    float frame = uFrame + phaseOffset(layerCount) + (backFace && uBackMode == 2 ? uBackFrameOffset : 0.0);
+                    float baseFrame = floor(frame);
+                    outColor = sampleTile(backTiles, flippedUv, foldLayer(baseFrame, layerCount));
+                    // Frame blending: crossfade towards the next layer by the time elapsed within this frame
+                    float blend = uFrameBlend == 1 ? frame - baseFrame : 0.0;
+                    if (blend > 0.0) {
+                        vec4 nextColor = sampleTile(backTiles, flippedUv, foldLayer(baseFrame + 1.0, layerCount));
+                        outColor = mix(outColor, nextColor, blend);
+                    }
+                    outColor = straightTileAlpha(outColor);
+                    outColor.a = resolveTileAlpha(outColor.a);
+                    if (outColor.a <= 0.0) discard; // Cut-out ('mask') or fully transparent ('blend')
+                    // The WebGL renderer outputs without encoding, so this writes graded display values.
+                    // A solid back colour keeps the tile's cut-outs but isn't graded.
+                    outColor.rgb = backFace && uBackMode == 1 ? gradingLinearToSRGB(uBackColor) : gradeTileColor(outColor.rgb);
+                    if (uShading != 0) {
+                        // Light in linear space, using the graded colour as albedo
+                        vec3 normal = gl_FrontFacing ? vWorldNormal : -vWorldNormal;
+                        outColor.rgb = gradingLinearToSRGB(shadeTileColor(gradingSRGBToLinear(outColor.rgb), normal, vWorldPosition));
+                    }
                 }
             `,
-            transparent: false,
-            depthWrite: true,
             side: THREE.DoubleSide
         });
+        configureAlphaMaterial(material, this.alphaMode);
+        material._backUniforms = backUniforms;
+        material._backPlaceholder = backUniforms.uBackTexture.value;
 
         return material;
     }
 
-    #createArrayMaterialWebGPU(arrayTexture) {
+    #createArrayMaterialWebGPU(arrayTexture, index) {
         const layerCount = arrayTexture.image?.depth || 1;
 
         // Simple fallback path: use a non-array texture in a MeshBasicMaterial
@@ -317,8 +1023,13 @@ export class TileManager {
             return basicMat;
         }
 
-        // Create uniforms for layer and rotation
-        const layerUniform = uniform(this.sharedLayerUniform.value);
+        // Create uniforms for playback, phase and rotation
+        const frameUniform = uniform(this.sharedFrameUniform.value);
+        const playbackUniform = uniform(this.sharedPlaybackUniform.value);
+        const frameBlendUniform = uniform(this.sharedFrameBlendUniform.value);
+        const phaseModeUniform = uniform(this.sharedPhaseModeUniform.value);
+        const phaseStepUniform = uniform(this.sharedPhaseStepUniform.value);
+        const phaseSeedUniform = uniform(this.sharedPhaseSeedUniform.value);
         const rotateUniform = uniform(this.sharedRotateUniform.value);
 
         // Get base UV coordinates
@@ -338,16 +1049,73 @@ export class TileManager {
         // Flip: (x, y) → (x, 1 - y)
         const flippedUV = rotatedUV.toVar().setY(float(1).sub(rotatedUV.y));
 
-        // Create NodeMaterial with texture array sampling using .depth()
+        // Back faces may show another source (see setBackFace), read the right way round
+        // from behind rather than mirrored
+        const backFace = this.#getBackFaceNodes();
+        const isBackFace = frontFacing.not().and(backFace.uBackMode.notEqual(0));
+        const backTiles = isBackFace.and(backFace.uBackMode.equal(3));
+        const backLayerCountUniform = uniform(1);
+        const faceUV = isBackFace.select(vec2(float(1).sub(flippedUV.x), flippedUV.y), flippedUV);
+
+        // Step 3: Pick the layer from the frame counter plus this fragment's phase offset
+        // (same logic as phaseOffset()/foldLayer() in the WebGL shader)
+        const segmentPhase = attribute('segmentPhase', 'vec2'); // (segment index, position along segment)
+        const layerCountNode = backTiles.select(backLayerCountUniform, float(layerCount));
+        const randomOffset = floor(fract(sin(
+            segmentPhase.x.mul(12.9898).add(phaseSeedUniform.mul(78.233))
+        ).mul(43758.5453)).mul(layerCountNode));
+        const phaseOffset = phaseModeUniform.equal(1).select(segmentPhase.x.mul(phaseStepUniform),
+            phaseModeUniform.equal(2).select(float(index).mul(phaseStepUniform),
+                phaseModeUniform.equal(3).select(randomOffset,
+                    phaseModeUniform.equal(4).select(segmentPhase.x.add(segmentPhase.y).mul(phaseStepUniform), float(0)))));
+
+        const pingPongPeriod = layerCountNode.sub(1).mul(2).max(1);
+        const foldLayer = (layerFrame) => {
+            const pingPongFrame = mod(layerFrame, pingPongPeriod);
+            return layerCountNode.lessThanEqual(1).select(float(0),
+                playbackUniform.equal(2).select(layerFrame.clamp(0, layerCountNode.sub(1)),
+                    playbackUniform.equal(1).select(
+                        pingPongFrame.lessThan(layerCountNode).select(pingPongFrame, pingPongPeriod.sub(pingPongFrame)),
+                        mod(layerFrame, layerCountNode)
+                    )));
+        };
+        const backFrameOffset = isBackFace.and(backFace.uBackMode.equal(2)).select(backFace.uBackFrameOffset, float(0));
+        const frameNode = frameUniform.add(phaseOffset).add(backFrameOffset);
+        const baseFrame = floor(frameNode);
+        const layerNode = foldLayer(baseFrame);
+
+        // Step 4: Frame blending crossfades towards the next layer by the time elapsed within
+        // this frame. With blending off both samples read the same layer.
+        const blendOn = frameBlendUniform.equal(1);
+        const nextLayerNode = blendOn.select(foldLayer(baseFrame.add(1)), layerNode);
+        const blend = blendOn.select(fract(frameNode), float(0));
+
+        // Create NodeMaterial with texture array sampling using .depth(). The back tile set's
+        // texture nodes start on a placeholder and are pointed at its tile once it loads.
         const material = new THREE_WEBGPU.NodeMaterial();
-        material.colorNode = texture(arrayTexture, flippedUV).depth(layerUniform);
-        material.transparent = false;
-        material.depthWrite = true;
+        const backTextureNodes = [];
+        const sampleTile = (layer) => {
+            const backTexel = texture(this.#getBackPlaceholder('array'), faceUV).depth(layer);
+            backTextureNodes.push(backTexel);
+            return backTiles.select(backTexel, texture(arrayTexture, faceUV).depth(layer));
+        };
+        const texel = mix(sampleTile(layerNode), sampleTile(nextLayerNode), blend);
+        material.colorNode = this.#gradeTexelNode(texel, isBackFace.and(backFace.uBackMode.equal(1)));
+        material.alphaTestNode = float(0); // Discards cut-out / fully transparent fragments
         material.side = THREE.DoubleSide;
+        configureAlphaMaterial(material, this.alphaMode);
 
         // Store references to uniforms for updates
-        material._layerUniform = layerUniform;
+        material._frameUniform = frameUniform;
+        material._playbackUniform = playbackUniform;
+        material._frameBlendUniform = frameBlendUniform;
+        material._phaseModeUniform = phaseModeUniform;
+        material._phaseStepUniform = phaseStepUniform;
+        material._phaseSeedUniform = phaseSeedUniform;
         material._rotateUniform = rotateUniform;
+        material._backTextureNodes = backTextureNodes;
+        material._backLayerCountUniform = backLayerCountUniform;
+        material._backPlaceholder = this.#getBackPlaceholder('array');
 
         console.log('[TileManager] WebGPU material created:', {
             layerCount,
@@ -373,162 +1141,427 @@ export class TileManager {
         this.webgpuMaterialMode = mode;
     }
 
+    /**
+     * Show ribbon segments in a debug view instead of their tiles, on either renderer:
+     * 'uv', 'segment', 'tile', 'normals' or 'frames' (see debugMaterials.js), or 'off'.
+     * Call refreshMaterials() on ribbons afterwards.
+     * @param {string} view - One of DEBUG_VIEWS
+     */
+    setDebugView(view) {
+        if (!DEBUG_VIEWS.includes(view)) {
+            console.warn(`[TileManager] Unknown debug view "${view}"`);
+            return;
+        }
+        this.debugView = view;
+        console.log(`[TileManager] Debug view: ${view}`);
+    }
+
+    /**
+     * Material for a segment in the current debug view
+     * @param {number} index - Segment index (mapped through the tile order)
+     * @returns {THREE.Material|null} null when the segment should show its tile
+     */
+    getDebugMaterial(index) {
+        if (!DebugMaterials.usesMaterial(this.debugView)) return null;
+        if (!this.#debugMaterials) {
+            this.#debugMaterials = new DebugMaterials({
+                rendererType: this.rendererType,
+                rotateUniform: this.sharedRotateUniform
+            });
+        }
+        return this.#debugMaterials.get(this.debugView, this.getTileIndex(index));
+    }
+
     async #loadKTX2Tile(index) {
-        return new Promise((resolve, reject) => {
-            if (!this._ktx2Loader) {
-                reject(new Error('KTX2Loader not initialized'));
-                return;
-            }
+        if (!this._ktx2Loader) {
+            throw new Error('KTX2Loader not initialized');
+        }
 
-            // If loading from zip, use the extracted data
-            if (this.isZip && this.zipFiles) {
-                const filename = `${index}.ktx2`;
-                const fileData = this.zipFiles[filename];
+        let buffer = null;
+        try {
+            buffer = await this.source.readTile(index, { signal: this.#abortController.signal });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            this.#reportFailure('load-error', index, `KTX2 tile ${index} couldn't be read: ${error?.message || error}`);
+            return this.#createFallbackMaterial(index);
+        }
+
+        if (!buffer) {
+            this.#reportFailure('missing', index, `KTX2 tile ${index} not found in source`);
+            return this.#createFallbackMaterial(index);
+        }
+        if (!hasKTX2Identifier(buffer)) {
+            this.#reportFailure('unsupported-format', index, `Tile ${index} is not a KTX2 file`);
+            return this.#createFallbackMaterial(index);
+        }
 
-                if (!fileData) {
-                    console.error(`[TileManager] File ${filename} not found in zip`);
-                    const fallback = new THREE.MeshBasicMaterial({ color: new THREE.Color(`hsl(${index * 11}, 70%, 50%)`) });
-                    resolve(fallback);
-                    return;
+        return new Promise((resolve, reject) => {
+            this._ktx2Loader.parse(
+                buffer,
+                (arrayTexture) => {
+                    this.#configureArrayTexture(arrayTexture, index);
+                    const material = this.#createArrayMaterial(arrayTexture, index);
+                    resolve(material);
+                },
+                (error) => {
+                    try {
+                        this.#reportFailure('load-error', index, `KTX2 tile ${index} failed to parse: ${error?.message || error}`);
+                        resolve(this.#createFallbackMaterial(index));
+                    } catch (validationError) {
+                        reject(validationError);
+                    }
                 }
+            );
+        });
+    }
+
+    /**
+     * Material for an image tile (JPG path), with the same colour grading as the array materials
+     * @param {THREE.Texture} tileTexture - From getTile()
+     * @param {number} index - Segment index (mapped through the tile order), for the back face
+     * @returns {THREE.Material}
+     */
+    createImageMaterial(tileTexture, index = 0) {
+        const tileIndex = this.getTileIndex(index);
+        if (this.rendererType === 'webgpu') {
+            const material = new THREE_WEBGPU.MeshBasicNodeMaterial({ side: THREE.DoubleSide });
+            const backFace = this.#getBackFaceNodes();
+            const isBackFace = frontFacing.not().and(backFace.uBackMode.notEqual(0));
+            const backUV = vec2(float(1).sub(uv().x), uv().y);
+            // texture() follows the tile's offset/repeat, so atlas animation still works; with
+            // an explicit UV that has to be asked for
+            const backTexel = texture(this.#getBackPlaceholder('image'), backUV).setUpdateMatrix(true);
+            const texel = isBackFace.select(
+                backFace.uBackMode.equal(3).select(backTexel, texture(tileTexture, backUV).setUpdateMatrix(true)),
+                texture(tileTexture)
+            );
+            material.colorNode = this.#gradeTexelNode(texel, isBackFace.and(backFace.uBackMode.equal(1)));
+            material.alphaTestNode = float(0);
+            configureAlphaMaterial(material, this.alphaMode);
+            material._backTextureNodes = [backTexel];
+            material._backPlaceholder = this.#getBackPlaceholder('image');
+            this.#bindBackTexture(material, tileIndex);
+            return material;
+        }
 
-                // Parse the KTX2 file from the Uint8Array buffer
-                this._ktx2Loader.parse(
-                    fileData.buffer,
-                    (arrayTexture) => {
-                        // Configure array texture
-                        arrayTexture.flipY = false; // shader flips V
-                        arrayTexture.generateMipmaps = false;
-                        const hasMips = Array.isArray(arrayTexture.mipmaps) && arrayTexture.mipmaps.length > 1;
-                        arrayTexture.minFilter = hasMips ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
-                        arrayTexture.magFilter = THREE.LinearFilter;
-                        arrayTexture.wrapS = THREE.ClampToEdgeWrapping;
-                        arrayTexture.wrapT = THREE.ClampToEdgeWrapping;
-
-                        // Set color space for WebGL to match WebGPU brightness
-                        if (this.rendererType === 'webgl') {
-                            arrayTexture.colorSpace = THREE.LinearSRGBColorSpace;
-                        }
-
-                        if (this.layerCount === 0) {
-                            this.layerCount = arrayTexture.image?.depth || 1;
-                            // Reset cycling state
-                            this.currentLayer = 0;
-                            this.direction = 1;
-                            this.sharedLayerUniform.value = 0;
-                        } else {
-                            const depth = arrayTexture.image?.depth || 1;
-                            if (depth !== this.layerCount) {
-                                console.warn(`[TileManager] Tile ${index} depth (${depth}) != layerCount (${this.layerCount}); will clamp when cycling`);
-                            }
-                        }
-
-                        const material = this.#createArrayMaterial(arrayTexture);
-                        resolve(material);
-                    },
-                    (error) => {
-                        console.error(`[TileManager] Failed to parse KTX2 tile ${index} from zip:`, error);
-                        console.error(`[TileManager] Error details:`, {
-                            message: error?.message,
-                            stack: error?.stack,
-                            name: error?.name,
-                            errorString: String(error)
-                        });
-                        // Create a fallback solid-color material to keep app running
-                        const fallback = new THREE.MeshBasicMaterial({ color: new THREE.Color(`hsl(${index * 11}, 70%, 50%)`) });
-                        resolve(fallback);
+        const material = new THREE.MeshBasicMaterial({ map: tileTexture, side: THREE.DoubleSide });
+        // Per-material back-face tile (see #bindBackTexture)
+        const backUniforms = {
+            uBackTexture: { value: this.#getBackPlaceholder('image') },
+            uBackTextureTransform: { value: new THREE.Matrix3() }
+        };
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.sharedGradingUniforms, this.sharedAlphaUniforms, this.sharedLightingUniforms,
+                this.sharedBackFaceUniforms, backUniforms);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', /* glsl */`#include <common>
+                    varying vec3 vTileNormal;
+                    varying vec3 vTileWorldPosition;
+                    varying vec2 vTileBackUv;
+                    varying vec2 vTileBackTextureUv;
+                    uniform mat3 uBackTextureTransform;
+                `)
+                .replace('#include <project_vertex>', /* glsl */`#include <project_vertex>
+                    vTileNormal = normalize(mat3(modelMatrix) * normal);
+                    vTileWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+                    // Back-face sources read the right way round from behind, rather than mirrored
+                    vTileBackUv = (mapTransform * vec3(1.0 - uv.x, uv.y, 1.0)).xy;
+                    vTileBackTextureUv = (uBackTextureTransform * vec3(1.0 - uv.x, uv.y, 1.0)).xy;
+                `);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', /* glsl */`#include <common>
+                    varying vec3 vTileNormal;
+                    varying vec3 vTileWorldPosition;
+                    varying vec2 vTileBackUv;
+                    varying vec2 vTileBackTextureUv;
+                    uniform int uBackMode;
+                    uniform vec3 uBackColor;
+                    uniform sampler2D uBackTexture;
+                    ${GRADING_GLSL}
+                    ${ALPHA_GLSL}
+                    ${LIGHTING_GLSL}
+                `)
+                .replace('#include <map_fragment>', /* glsl */`
+                    // Modes match TileManager.BACK_FACE_MODES; image tiles have no per-face frame offset
+                    bool backFace = !gl_FrontFacing && uBackMode != 0;
+                    vec4 tileTexel = backFace
+                        ? (uBackMode == 3 ? texture2D(uBackTexture, vTileBackTextureUv) : texture2D(map, vTileBackUv))
+                        : texture2D(map, vMapUv);
+                    tileTexel = straightTileAlpha(tileTexel);
+                    vec3 tileColor = backFace && uBackMode == 1 ? gradingLinearToSRGB(uBackColor) : gradeTileColor(tileTexel.rgb);
+                    if (uShading != 0) {
+                        vec3 tileNormal = gl_FrontFacing ? vTileNormal : -vTileNormal;
+                        tileColor = gradingLinearToSRGB(shadeTileColor(gradingSRGBToLinear(tileColor), tileNormal, vTileWorldPosition));
                     }
-                );
+                    diffuseColor.rgb *= tileColor;
+                    diffuseColor.a *= resolveTileAlpha(tileTexel.a);
+                    if (diffuseColor.a <= 0.0) discard;
+                `);
+        };
+        material.customProgramCacheKey = () => 'tile-grading';
+        configureAlphaMaterial(material, this.alphaMode);
+        material._backUniforms = backUniforms;
+        material._backPlaceholder = backUniforms.uBackTexture.value;
+        this.#bindBackTexture(material, tileIndex);
+        return material;
+    }
+
+    // Solid-colour stand-in for a broken tile, so the rest of the ribbon still renders
+    #createFallbackMaterial(index) {
+        return new THREE.MeshBasicMaterial({ color: new THREE.Color(`hsl(${index * 11}, 70%, 50%)`) });
+    }
+
+    #configureArrayTexture(arrayTexture, index) {
+        arrayTexture.flipY = false; // shader flips V
+        arrayTexture.generateMipmaps = false;
+        const hasMips = Array.isArray(arrayTexture.mipmaps) && arrayTexture.mipmaps.length > 1;
+        arrayTexture.minFilter = hasMips ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+        arrayTexture.magFilter = THREE.LinearFilter;
+        arrayTexture.wrapS = THREE.ClampToEdgeWrapping;
+        arrayTexture.wrapT = THREE.ClampToEdgeWrapping;
+
+        // Sample raw texels on both renderers; the grading stage decodes them according to
+        // the tile set's (or the grade's) colour space, so that can change live
+        arrayTexture.colorSpace = THREE.LinearSRGBColorSpace;
+
+        // The first tile sets the layer count; mismatches are reported by #recordTile()
+        if (this.layerCount === 0) {
+            this.layerCount = arrayTexture.image?.depth || 1;
+            // Reset cycling state
+            this.#setFrame(0);
+        }
+    }
+
+    async #loadArrayTile(index) {
+        const arrayTexture = await this.source.readTile(index, { signal: this.#abortController.signal });
+        if (!arrayTexture) {
+            this.#reportFailure('missing', index, `Array tile ${index} not found in source`);
+            return this.#createFallbackMaterial(index);
+        }
+
+        this.#configureArrayTexture(arrayTexture, index);
+        return this.#createArrayMaterial(arrayTexture, index);
+    }
+
+    async #loadImageTile(index) {
+        const data = await this.source.readTile(index, { signal: this.#abortController.signal });
+
+        let texture;
+        try {
+            if (this.source.imageLayout === 'frames') {
+                const { canvas, columns, rows } = await this.#packFrames(data);
+                texture = new THREE.CanvasTexture(canvas);
+                this.#configureAtlasTexture(texture, columns, rows, data.length);
             } else {
-                // Loading from folder (original behavior)
-                const url = `${this.folder}/${index}.ktx2`;
-                this._ktx2Loader.load(
-                    url,
-                    (arrayTexture) => {
-                        // Configure array texture
-                        arrayTexture.flipY = false; // shader flips V
-                        arrayTexture.generateMipmaps = false;
-                        const hasMips = Array.isArray(arrayTexture.mipmaps) && arrayTexture.mipmaps.length > 1;
-                        arrayTexture.minFilter = hasMips ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
-                        arrayTexture.magFilter = THREE.LinearFilter;
-                        arrayTexture.wrapS = THREE.ClampToEdgeWrapping;
-                        arrayTexture.wrapT = THREE.ClampToEdgeWrapping;
-
-                        // Set color space for WebGL to match WebGPU brightness
-                        if (this.rendererType === 'webgl') {
-                            arrayTexture.colorSpace = THREE.LinearSRGBColorSpace;
-                        }
-
-                        if (this.layerCount === 0) {
-                            this.layerCount = arrayTexture.image?.depth || 1;
-                            // Reset cycling state
-                            this.currentLayer = 0;
-                            this.direction = 1;
-                            this.sharedLayerUniform.value = 0;
-                        } else {
-                            const depth = arrayTexture.image?.depth || 1;
-                            if (depth !== this.layerCount) {
-                                console.warn(`[TileManager] Tile ${index} depth (${depth}) != layerCount (${this.layerCount}); will clamp when cycling`);
-                            }
-                        }
-
-                        const material = this.#createArrayMaterial(arrayTexture);
-                        resolve(material);
-                    },
-                    undefined,
-                    (error) => {
-                        console.error(`[TileManager] Failed to load KTX2 tile ${index}:`, error);
-                        console.error(`[TileManager] Error details:`, {
-                            message: error?.message,
-                            stack: error?.stack,
-                            name: error?.name,
-                            errorString: String(error)
-                        });
-                        // Create a fallback solid-color material to keep app running
-                        const fallback = new THREE.MeshBasicMaterial({ color: new THREE.Color(`hsl(${index * 11}, 70%, 50%)`) });
-                        resolve(fallback);
-                    }
-                );
+                texture = await new THREE.TextureLoader().loadAsync(data);
+                if (this.source.imageLayout === 'atlas') {
+                    this.#configureAtlasTexture(texture, this.source.atlasColumns, this.source.atlasRows, this.layerCount);
+                }
             }
+        } catch (error) {
+            this.#reportFailure('load-error', index, `Image tile ${index} couldn't be loaded (missing or not a supported image): ${error?.message || error?.type || error}`);
+            // Create a fallback colored texture
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = this.tileSize;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = `hsl(${index * 11}, 70%, 50%)`;
+            ctx.fillRect(0, 0, this.tileSize, this.tileSize);
+            const fallbackTexture = new THREE.CanvasTexture(canvas);
+            fallbackTexture.userData.isFallback = true;
+            return fallbackTexture;
+        }
+
+        if (!texture.userData.atlas) {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+        }
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+
+        // Raw texels, decoded by the grading stage (see createImageMaterial)
+        texture.colorSpace = THREE.LinearSRGBColorSpace;
+
+        this.#showImageFrame(texture, index);
+        return texture;
+    }
+
+    /**
+     * Draw a tile's frame images onto one canvas grid, so frame folders play back
+     * the same way as sprite-sheet atlases
+     * @param {string[]} urls - Frame image URLs in playback order
+     * @returns {Promise<{canvas: HTMLCanvasElement, columns: number, rows: number}>}
+     */
+    async #packFrames(urls) {
+        const loader = new THREE.ImageLoader();
+        const images = await Promise.all(urls.map(url => loader.loadAsync(url)));
+
+        const columns = Math.ceil(Math.sqrt(images.length));
+        const rows = Math.ceil(images.length / columns);
+        // Shrink frames if the sheet would exceed the GPU's texture size limit
+        const maxSize = this.renderer?.capabilities?.maxTextureSize || 4096;
+        const frameSize = Math.min(images[0].width, Math.floor(maxSize / columns), Math.floor(maxSize / rows));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = columns * frameSize;
+        canvas.height = rows * frameSize;
+        const ctx = canvas.getContext('2d');
+        images.forEach((image, frame) => {
+            ctx.drawImage(image, (frame % columns) * frameSize, Math.floor(frame / columns) * frameSize, frameSize, frameSize);
         });
+
+        return { canvas, columns, rows };
     }
 
-    async #loadJPGTile(index) {
-        return new Promise((resolve, reject) => {
-            const loader = new THREE.TextureLoader();
-            loader.load(
-                `./tiles-numbered/${index}.jpg`,
-                (texture) => {
-                    texture.wrapS = THREE.RepeatWrapping;
-                    texture.wrapT = THREE.RepeatWrapping;
-                    texture.minFilter = THREE.LinearFilter;
-                    texture.magFilter = THREE.LinearFilter;
-
-                    // Set color space for WebGL to match WebGPU brightness
-                    if (this.rendererType === 'webgl') {
-                        texture.colorSpace = THREE.LinearSRGBColorSpace;
-                    }
+    /**
+     * Show one cell of a sprite sheet at a time; tick() moves the UV offset between cells
+     * @param {THREE.Texture} texture
+     * @param {number} columns
+     * @param {number} rows
+     * @param {number} frameCount - Cells in use, read left to right, top to bottom
+     */
+    #configureAtlasTexture(texture, columns, rows, frameCount) {
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.repeat.set(1 / columns, 1 / rows);
+        texture.userData.atlas = { columns, rows, frameCount: Math.min(frameCount, columns * rows) };
+    }
 
-                    resolve(texture);
-                },
-                undefined,
-                (error) => {
-                    console.error(`Failed to load tile ${index}:`, error);
-                    // Create a fallback colored texture
-                    const canvas = document.createElement('canvas');
-                    canvas.width = canvas.height = this.tileSize;
-                    const ctx = canvas.getContext('2d');
-                    ctx.fillStyle = `hsl(${index * 11}, 70%, 50%)`;
-                    ctx.fillRect(0, 0, this.tileSize, this.tileSize);
-                    const fallbackTexture = new THREE.CanvasTexture(canvas);
-                    resolve(fallbackTexture);
-                }
-            );
+    /**
+     * Point an atlas texture at the cell for the current frame. Phase offsets apply per tile
+     * here, as a texture is shared by every segment that uses its tile.
+     * @param {THREE.Texture} texture
+     * @param {number} index - Tile index
+     */
+    #showImageFrame(texture, index) {
+        const atlas = texture?.userData.atlas;
+        if (!atlas) return;
+
+        const layer = this.#foldLayer(Math.floor(this.frame + this.#getTilePhaseOffset(index)));
+        const cell = Math.min(layer, atlas.frameCount - 1);
+        const column = cell % atlas.columns;
+        const row = Math.floor(cell / atlas.columns);
+        // Row 0 is the top of the image, where V = 1
+        texture.offset.set(column / atlas.columns, 1 - (row + 1) / atlas.rows);
+    }
+
+    /**
+     * Per-tile equivalent of the shaders' phaseOffset(), for image tiles
+     * @param {number} index - Tile index
+     * @returns {number}
+     */
+    #getTilePhaseOffset(index) {
+        switch (this.phaseMode) {
+            case 'segment':
+            case 'tile':
+            case 'arclength':
+                return index * this.phaseStep;
+            case 'random': {
+                const x = Math.sin(index * 12.9898 + this.phaseSeed * 78.233) * 43758.5453;
+                return Math.floor((x - Math.floor(x)) * this.layerCount);
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Record a broken tile (or source). In strict mode this throws, failing the tile's
+     * requestTile() promise; otherwise the caller puts in a solid-colour stand-in.
+     * @param {string} type - Issue type (see tileValidation.js ISSUE_TYPES)
+     * @param {number|null} index - Tile index, or null for the whole source
+     * @param {string} message
+     * @throws {TileValidationError} In strict mode
+     */
+    #reportFailure(type, index, message) {
+        const issue = createIssue(type, index, message);
+        this.#issues.push(issue);
+        console.error(`[TileManager] ${message}`);
+        if (this.strict) {
+            throw new TileValidationError(message, { issue });
+        }
+    }
+
+    /**
+     * Note a loaded tile's size and memory, and check it against the rest of the set
+     * @param {number} index
+     * @param {THREE.Material|THREE.Texture} result - What the loader produced
+     */
+    #recordTile(index, result) {
+        this.#checkedTiles.add(index);
+        const texture = result?._arrayTexture ?? (result?.isTexture ? result : null);
+        if (!texture || texture.userData.isFallback) return;
+
+        // Atlas tiles hold several frames; check the size of one frame
+        const atlas = texture.userData.atlas;
+        const info = {
+            width: (texture.image?.width || 0) / (atlas?.columns || 1),
+            height: (texture.image?.height || 0) / (atlas?.rows || 1),
+            layerCount: atlas ? atlas.frameCount : (texture.image?.depth || 1)
+        };
+
+        this.#firstTileSize ??= info.width;
+        const issues = checkTileDimensions(index, info, {
+            tileSize: this.manifest?.tileSize ?? this.#firstTileSize,
+            layerCount: this.manifest?.layerCount ?? (this.layerCount || null)
         });
+        issues.forEach(issue => console.warn(`[TileManager] ${issue.message}`));
+        this.#issues.push(...issues);
+
+        this.#tileRecords[index] = { index, ...info, bytes: estimateTextureBytes(texture) };
+    }
+
+    #resetValidation() {
+        this.#issues = [];
+        this.#tileRecords = [];
+        this.#checkedTiles.clear();
+        this.#firstTileSize = null;
+    }
+
+    /**
+     * Validation report for the tiles loaded so far (see tileValidation.js for the shape).
+     * Use validate() to check every tile.
+     * @returns {Object}
+     */
+    getReport() {
+        return buildReport({
+            source: this.source.constructor.name,
+            title: this.title,
+            format: this.source.format,
+            tileCount: this.tileCount,
+            tileSize: this.manifest?.tileSize ?? this.#firstTileSize ?? this.tileSize,
+            layerCount: this.layerCount
+        }, this.#tileRecords, this.#issues, this.#checkedTiles.size);
+    }
+
+    /**
+     * Load and check every tile, then report missing tiles, load failures, unsupported
+     * formats, size and layer mismatches, and the total GPU memory of the set.
+     * @returns {Promise<Object>} The report
+     * @throws {TileValidationError} In strict mode, if the set has errors (report attached)
+     */
+    async validate() {
+        await this.open();
+
+        const results = await Promise.allSettled(
+            Array.from({ length: this.tileCount }, (_, i) => this.#requestTileAt(i))
+        );
+        const aborted = results.find(r => r.status === 'rejected' && isAbortError(r.reason));
+        if (aborted) throw aborted.reason;
+
+        const report = this.getReport();
+        console.log(`[TileManager] Validation: ${report.errorCount} error(s), ${report.warningCount} warning(s)`, report);
+
+        if (this.strict && !report.ok) {
+            throw new TileValidationError(`Tile set failed validation with ${report.errorCount} error(s)`, { report });
+        }
+        return report;
     }
 
     getTile(index) {
-        const tile = this.tiles[index % this.tileCount];
+        const tile = this.tiles[this.getTileIndex(index)];
+        if (!tile) {
+            this.requestTile(index);
+        }
         // console.log('[TileManager] getTile', index, {
         //     tileExists: !!tile,
         //     totalTiles: this.tiles.length
@@ -537,8 +1570,13 @@ export class TileManager {
     }
 
     getMaterial(index) {
-        if (!this.isKTX2) return undefined;
-        const material = this.materials[index % this.tileCount];
+        if (!this.usesArrayTextures) return undefined;
+        const material = this.materials[this.getTileIndex(index)];
+        if (!material) {
+            // Start loading and show a placeholder until the tile is ready
+            this.requestTile(index);
+            return this.getPlaceholderMaterial();
+        }
         // console.log('[TileManager] getMaterial', index, {
         //     isKTX2: this.isKTX2,
         //     materialExists: !!material,
@@ -559,43 +1597,499 @@ export class TileManager {
         return this.layerCount || 0;
     }
 
+    /**
+     * Advance playback by the time since the last call, at fps * playbackRate.
+     * Each material folds the frame counter plus its segment's phase offset into a layer,
+     * so tick() only updates a single shared counter; animated image tiles instead move
+     * their atlas UV offset. The counter keeps its fraction, which frame blending uses as
+     * the crossfade amount.
+     * @param {number} nowMs - Timestamp from requestAnimationFrame / performance.now()
+     */
     tick(nowMs) {
-        if (!this.isKTX2 || this.layerCount <= 1) return;
+        if (this.layerCount <= 1) return;
 
         if (this.lastFrameTime === 0) this.lastFrameTime = nowMs;
-        const elapsed = nowMs - this.lastFrameTime;
-        const frameInterval = 1000 / this.fps;
+        // Cap the step so coming back to a background tab doesn't jump far ahead
+        const elapsed = Math.min(nowMs - this.lastFrameTime, 250);
+        this.lastFrameTime = nowMs;
 
-        if (elapsed >= frameInterval) {
-            this.lastFrameTime = nowMs;
+        if (!this.isPlaying || this.playbackRate === 0) return;
+        this.#setFrame(this.frame + (elapsed / 1000) * this.fps * this.playbackRate);
+    }
 
-            if (this.variant === 'waves') {
-                this.currentLayer = (this.currentLayer + 1) % this.layerCount;
-            } else {
-                // planes: ping-pong
-                this.currentLayer += this.direction;
-                if (this.currentLayer >= this.layerCount - 1) {
-                    this.currentLayer = this.layerCount - 1;
-                    this.direction = -1;
-                } else if (this.currentLayer <= 0) {
-                    this.currentLayer = 0;
-                    this.direction = 1;
+    /**
+     * Resume layer playback. In 'once' mode, playing from the end restarts from the beginning
+     * (or from the last layer when playing backwards).
+     */
+    play() {
+        if (this.playbackMode === 'once') {
+            const last = Math.max(0, this.layerCount - 1);
+            if (this.playbackRate > 0 && this.frame >= last) this.#setFrame(0);
+            if (this.playbackRate < 0 && this.frame <= 0) this.#setFrame(last);
+        }
+        this.isPlaying = true;
+        this.lastFrameTime = 0;
+    }
+
+    /**
+     * Freeze layer playback on the current frame
+     */
+    pause() {
+        this.isPlaying = false;
+    }
+
+    togglePlayback() {
+        if (this.isPlaying) this.pause();
+        else this.play();
+        return this.isPlaying;
+    }
+
+    /**
+     * Jump to a layer. In 'pingpong' mode the current direction of travel is kept.
+     * @param {number} layer - Layer index (0 .. layerCount - 1); fractions are allowed
+     */
+    seek(layer) {
+        const last = Math.max(0, this.layerCount - 1);
+        const target = Math.min(Math.max(Number(layer) || 0, 0), last);
+
+        // On the return leg of a ping-pong, the same layer sits at period - layer
+        const onReturnLeg = this.playbackMode === 'pingpong' && this.frame > last;
+        this.#setFrame(onReturnLeg ? 2 * last - target : target);
+    }
+
+    /**
+     * @param {number} rate - Multiplier on the tile set's fps; negative plays backwards, 0 holds
+     */
+    setPlaybackRate(rate) {
+        if (!Number.isFinite(rate)) {
+            console.warn(`[TileManager] Invalid playback rate ${rate}`);
+            return;
+        }
+        this.playbackRate = rate;
+    }
+
+    /**
+     * @param {string} mode - 'loop', 'pingpong' or 'once'
+     */
+    setPlaybackMode(mode) {
+        if (!PLAYBACK_MODES.includes(mode)) {
+            console.warn(`[TileManager] Unknown playback mode "${mode}"`);
+            return;
+        }
+
+        const layer = this.currentLayer;
+        this.playbackMode = mode;
+        this.#updateUniform('sharedPlaybackUniform', '_playbackUniform', PLAYBACK_MODES.indexOf(mode));
+        // Re-express the position in the new mode's frame range, staying on the same layer
+        this.#setFrame(Math.min(layer, Math.max(0, this.layerCount - 1)));
+    }
+
+    /**
+     * Crossfade each segment from its current layer to the next by the fraction of the frame
+     * that has elapsed, instead of stepping between layers. Smooths sets with few layers and
+     * slow playback rates. Array textures only: animated image tiles still step.
+     * @param {boolean} enabled
+     */
+    setFrameBlend(enabled) {
+        this.frameBlend = !!enabled;
+        this.#updateUniform('sharedFrameBlendUniform', '_frameBlendUniform', this.frameBlend ? 1 : 0);
+    }
+
+    /**
+     * @returns {{isPlaying: boolean, layer: number, frame: number, layerCount: number, rate: number, mode: string, fps: number, frameBlend: boolean}}
+     */
+    getPlaybackState() {
+        return {
+            isPlaying: this.isPlaying,
+            layer: this.currentLayer,
+            frame: this.frame,
+            layerCount: this.layerCount,
+            rate: this.playbackRate,
+            mode: this.playbackMode,
+            fps: this.fps,
+            frameBlend: this.frameBlend
+        };
+    }
+
+    /**
+     * Move the playhead, wrapping (loop, pingpong) or clamping (once) to the mode's frame range
+     * @param {number} frame
+     */
+    #setFrame(frame) {
+        const n = this.layerCount;
+
+        if (this.playbackMode === 'once') {
+            const clamped = Math.min(Math.max(frame, 0), Math.max(0, n - 1));
+            if (clamped !== frame && this.isPlaying) {
+                this.pause(); // Reached the end
+            }
+            frame = clamped;
+        } else if (n > 1) {
+            // Keep the counter within one period so float precision in the shaders never degrades
+            const period = this.playbackMode === 'pingpong' ? 2 * (n - 1) : n;
+            frame = ((frame % period) + period) % period;
+        } else {
+            frame = 0;
+        }
+
+        this.frame = frame;
+        this.currentLayer = this.#foldLayer(Math.floor(frame));
+        this.#updateUniform('sharedFrameUniform', '_frameUniform', frame);
+        this.tiles.forEach((texture, index) => this.#showImageFrame(texture, index));
+    }
+
+    /**
+     * Fold a frame count into a layer index for the current playback mode (mirrors the shaders)
+     * @param {number} frame
+     * @returns {number}
+     */
+    #foldLayer(frame) {
+        const n = this.layerCount;
+        if (n <= 1) return 0;
+        if (this.playbackMode === 'once') {
+            return Math.min(Math.max(frame, 0), n - 1);
+        }
+        if (this.playbackMode === 'pingpong') {
+            const period = 2 * (n - 1);
+            const p = ((frame % period) + period) % period;
+            return p < n ? p : period - p;
+        }
+        return ((frame % n) + n) % n;
+    }
+
+    /**
+     * Set a shared uniform, and for WebGPU the matching TSL uniform node on every material
+     * @param {string} sharedName - Shared WebGL uniform property, e.g. 'sharedFrameUniform'
+     * @param {string} materialKey - Per-material TSL uniform key, e.g. '_frameUniform'
+     * @param {number} value
+     */
+    #updateUniform(sharedName, materialKey, value) {
+        this[sharedName].value = value;
+
+        if (this.rendererType === 'webgpu') {
+            this.materials.forEach(material => {
+                if (material?.[materialKey]) {
+                    material[materialKey].value = value;
                 }
+            });
+        }
+    }
+
+    /**
+     * Offset each segment's layer so motion travels along the ribbon instead of playing in unison.
+     *
+     * Modes (see TileManager.PHASE_MODES):
+     * - 'unison':    every segment shows the same layer
+     * - 'segment':   offset = segment index * step (linear along the ribbon; RibbonSeries
+     *                paths continue counting from the previous path)
+     * - 'tile':      offset = tile index * step, so segments sharing a tile stay in sync
+     * - 'random':    a fixed random offset per segment, chosen by seed
+     * - 'arclength': offset = (segment index + position within segment) * step, so the
+     *                phase also varies continuously across each segment
+     *
+     * @param {string} mode - One of TileManager.PHASE_MODES
+     * @param {Object} options
+     * @param {number} options.step - Layers of offset per segment (segment, tile, arclength)
+     * @param {number} options.seed - Seed for 'random'
+     */
+    setPhaseMode(mode, { step = this.phaseStep, seed = this.phaseSeed } = {}) {
+        const modeIndex = TileManager.PHASE_MODES.indexOf(mode);
+        if (modeIndex < 0) {
+            console.warn(`[TileManager] Unknown phase mode "${mode}"`);
+            return;
+        }
+
+        this.phaseMode = mode;
+        this.phaseStep = step;
+        this.phaseSeed = seed;
+        this.#updateUniform('sharedPhaseModeUniform', '_phaseModeUniform', modeIndex);
+        this.#updateUniform('sharedPhaseStepUniform', '_phaseStepUniform', step);
+        this.#updateUniform('sharedPhaseSeedUniform', '_phaseSeedUniform', seed);
+        this.tiles.forEach((texture, index) => this.#showImageFrame(texture, index));
+        console.log(`[TileManager] Phase mode: ${mode}`, { step, seed });
+    }
+
+    /**
+     * Adjust how tiles look. Changes apply live to every tile material (KTX2, video and image
+     * tiles, on both renderers); settings not given keep their current values.
+     * @param {Object} changes
+     * @param {number} changes.exposure - Stops (0 = unchanged)
+     * @param {number} changes.contrast - 1 = unchanged
+     * @param {number} changes.saturation - 1 = unchanged, 0 = greyscale
+     * @param {number} changes.hueShift - Degrees
+     * @param {string|number|THREE.Color} changes.tint - Colour to multiply by (white = unchanged)
+     * @param {string} changes.colorSpace - Colour space of the tile data: 'auto' (from the
+     *     manifest), 'srgb' or 'linear'
+     */
+    setGrading(changes) {
+        try {
+            this.grading = mergeGrading(this.grading, changes);
+        } catch (error) {
+            console.warn(`[TileManager] ${error.message}`);
+            return;
+        }
+        this.#applyGrading();
+    }
+
+    /**
+     * Back to the default grade
+     */
+    resetGrading() {
+        this.grading = { ...DEFAULT_GRADING };
+        this.#applyGrading();
+    }
+
+    #applyGrading() {
+        const dataIsSRGB = isDataSRGB(this.grading.colorSpace, this.colorSpace);
+        applyGradingUniforms(this.sharedGradingUniforms, this.grading, dataIsSRGB);
+        if (this.#gradingNodes) {
+            applyGradingUniforms(this.#gradingNodes, this.grading, dataIsSRGB);
+        }
+    }
+
+    // WebGPU: un-premultiply, grade, light, then apply the alpha mode (mirrors the WebGL shaders).
+    // Where useBackColor is true the solid back-face colour replaces the graded texel.
+    #gradeTexelNode(texel, useBackColor = null) {
+        const alphaNodes = this.#getAlphaNodes();
+        const straight = straightAlphaNode(texel, alphaNodes);
+        const graded = gradeColorNode(straight, this.#getGradingNodes()).rgb;
+        const color = useBackColor ? useBackColor.select(this.#getBackFaceNodes().uBackColor, graded) : graded;
+        const shaded = shadeColorNode(color, this.#getLightingNodes());
+        return vec4(shaded, resolveAlphaNode(straight.a, alphaNodes));
+    }
+
+    /**
+     * Light the tiles so folds and twists in the ribbon read clearly. Keeps the animated
+     * textures (they become the albedo) and applies live on both renderers.
+     * @param {Object} changes - Settings to change; others keep their current values
+     * @param {string} changes.mode - 'unlit', 'lambert' or 'pbr'
+     * @param {{color: string, intensity: number}} changes.ambient
+     * @param {Array<{direction: number[], color: string, intensity: number}>} changes.lights -
+     *     Up to 3 directional lights; direction points towards the light, in world space
+     * @param {number} changes.roughness - 'pbr' only, 0 to 1
+     * @param {number} changes.metalness - 'pbr' only, 0 to 1
+     */
+    setLighting(changes) {
+        try {
+            this.lighting = mergeLighting(this.lighting, changes);
+        } catch (error) {
+            console.warn(`[TileManager] ${error.message}`);
+            return;
+        }
+        this.#applyLighting();
+    }
+
+    #applyLighting() {
+        applyLightingUniforms(this.sharedLightingUniforms, this.lighting);
+        if (this.#lightingNodes) {
+            applyLightingUniforms(this.#lightingNodes, this.lighting);
+        }
+    }
+
+    #getLightingNodes() {
+        if (!this.#lightingNodes) {
+            this.#lightingNodes = createLightingNodes();
+            this.#applyLighting();
+        }
+        return this.#lightingNodes;
+    }
+
+    /**
+     * Choose what the back faces of the ribbon show, so twists show both sides of a real ribbon.
+     * The choice is made per face in the tile materials; every mode but 'same' reads the right
+     * way round from behind instead of mirrored.
+     *
+     * Modes (see TileManager.BACK_FACE_MODES):
+     * - 'same':    the front tile, mirrored (the default)
+     * - 'color':   a solid colour (lit, but not graded; cut-outs still apply)
+     * - 'offset':  the front tile, frameOffset layers later (array textures; image tiles show
+     *              their current frame)
+     * - 'tileset': the tile with the same index from another TileManager, which must use the
+     *              same renderer and the same kind of tiles (array textures or images). It
+     *              follows this manager's playback and grading, folded to its own layer count.
+     *
+     * Call refreshMaterials() on any Ribbon/RibbonSeries afterwards so image-tile materials
+     * pick up the change (array materials are updated in place).
+     *
+     * @param {string} mode - One of TileManager.BACK_FACE_MODES
+     * @param {Object} options
+     * @param {string} options.color - 'color' mode: CSS colour
+     * @param {number} options.frameOffset - 'offset' mode: layers ahead of the front (may be negative)
+     * @param {TileManager} options.tileManager - 'tileset' mode: the back tile set
+     */
+    setBackFace(mode, {
+        color = this.backFace.color,
+        frameOffset = this.backFace.frameOffset,
+        tileManager = this.backFace.tileManager
+    } = {}) {
+        const modeIndex = TileManager.BACK_FACE_MODES.indexOf(mode);
+        if (modeIndex < 0) {
+            console.warn(`[TileManager] Unknown back face mode "${mode}"`);
+            return;
+        }
+        if (mode === 'tileset') {
+            if (!(tileManager instanceof TileManager) || tileManager === this) {
+                console.warn('[TileManager] Back face mode "tileset" needs another TileManager');
+                return;
             }
+            if (tileManager.usesArrayTextures !== this.usesArrayTextures) {
+                console.warn('[TileManager] Back tile set must use the same kind of tiles (array textures or images) as the front');
+                return;
+            }
+        }
 
-            // Update shared uniform (clamped)
-            const clamped = Math.max(0, Math.min(this.currentLayer, Math.max(0, this.layerCount - 1)));
-            this.sharedLayerUniform.value = clamped | 0; // ensure int
+        this.backFace = { mode, color, frameOffset, tileManager: mode === 'tileset' ? tileManager : null };
+        this.#applyBackFace();
+        this.materials.forEach((material, tileIndex) => this.#bindBackTexture(material, tileIndex));
+        console.log(`[TileManager] Back face: ${mode}`);
+    }
 
-            // For WebGPU, also update TSL uniform nodes
-            if (this.rendererType === 'webgpu') {
-                this.materials.forEach(material => {
-                    if (material._layerUniform) {
-                        material._layerUniform.value = clamped;
-                    }
-                });
+    #applyBackFace() {
+        for (const uniforms of [this.sharedBackFaceUniforms, this.#backFaceNodes]) {
+            if (!uniforms) continue;
+            uniforms.uBackMode.value = TileManager.BACK_FACE_MODES.indexOf(this.backFace.mode);
+            uniforms.uBackColor.value.set(this.backFace.color);
+            uniforms.uBackFrameOffset.value = this.backFace.frameOffset;
+        }
+    }
+
+    #getBackFaceNodes() {
+        if (!this.#backFaceNodes) {
+            this.#backFaceNodes = {
+                uBackMode: uniform(0),
+                uBackColor: uniform(new THREE.Color()),
+                uBackFrameOffset: uniform(0)
+            };
+            this.#applyBackFace();
+        }
+        return this.#backFaceNodes;
+    }
+
+    // Texture the back faces show until the back tile set's tile arrives: one texel in the
+    // placeholder material's colour (raw sRGB, like the tiles)
+    #getBackPlaceholder(kind) {
+        if (!this.#backPlaceholders[kind]) {
+            const data = new Uint8Array([0x3a, 0x3a, 0x4a, 0xff]);
+            const placeholder = kind === 'array'
+                ? new THREE.DataArrayTexture(data, 1, 1, 1)
+                : new THREE.DataTexture(data, 1, 1);
+            placeholder.colorSpace = THREE.LinearSRGBColorSpace;
+            placeholder.needsUpdate = true;
+            this.#backPlaceholders[kind] = placeholder;
+        }
+        return this.#backPlaceholders[kind];
+    }
+
+    /**
+     * In 'tileset' back-face mode, point a tile material's back-face texture at the back tile
+     * set's tile (loading it if needed); otherwise back at the placeholder
+     * @param {THREE.Material} material - Array or image tile material
+     * @param {number} tileIndex - Front tile index; the back set maps it through its own tile order
+     */
+    #bindBackTexture(material, tileIndex) {
+        if (!material?._backPlaceholder) return; // Fallback and debug materials have no back face
+        this.#releaseBackTile(material);
+        const back = this.backFace.tileManager;
+        material._backTileManager = back;
+        this.#setBackTexture(material, null);
+        if (!back) return;
+
+        // Keep the back tile resident under the back set's memory budget while it's on show
+        back.acquireTile(tileIndex);
+        material._backTileIndex = tileIndex;
+        if (!material._releaseBackTile) {
+            material._releaseBackTile = () => this.#releaseBackTile(material);
+            material.addEventListener('dispose', material._releaseBackTile);
+        }
+
+        back.requestTile(tileIndex).then(result => {
+            if (material._backTileManager !== back) return; // The back face changed meanwhile
+            const backTexture = result?.isMaterial ? result._arrayTexture : result;
+            // Either set may have fallen back to image tiles since setBackFace() checked
+            const isArray = !!(backTexture?.isDataArrayTexture || backTexture?.isCompressedArrayTexture);
+            if (backTexture && isArray === !!material._backPlaceholder.isDataArrayTexture) {
+                this.#setBackTexture(material, backTexture);
+            }
+        }).catch(() => {
+            // Failed or cancelled loads are logged by the back tile manager; keep the placeholder
+        });
+    }
+
+    #releaseBackTile(material) {
+        if (material._backTileIndex === undefined) return;
+        material._backTileManager?.releaseTile(material._backTileIndex);
+        material._backTileIndex = undefined;
+    }
+
+    #setBackTexture(material, backTexture) {
+        const texture = backTexture ?? material._backPlaceholder;
+        const uniforms = material._backUniforms;
+        if (uniforms) {
+            uniforms.uBackTexture.value = texture;
+            if (uniforms.uBackLayerCount) {
+                uniforms.uBackLayerCount.value = texture.image?.depth || 1;
+            }
+            if (uniforms.uBackTextureTransform) {
+                // Image tiles may be atlas cells; the back set's tile shows its current frame
+                texture.updateMatrix();
+                uniforms.uBackTextureTransform.value.copy(texture.matrix);
+            }
+        }
+        material._backTextureNodes?.forEach(node => { node.value = texture; });
+        if (material._backLayerCountUniform) {
+            material._backLayerCountUniform.value = texture.image?.depth || 1;
+        }
+    }
+
+    /**
+     * Render tiles with alpha: 'opaque' ignores it, 'mask' cuts away pixels below the cutoff
+     * (hard-edged cut-outs that still write depth), 'blend' draws translucent tiles sorted
+     * back to front. Applies to the array materials straight away; call refreshMaterials()
+     * on ribbons to update image-tile materials.
+     * @param {string} mode - 'opaque', 'mask' or 'blend'
+     * @param {Object} options
+     * @param {number} options.cutoff - Alpha below this is cut away ('mask')
+     * @param {boolean} options.premultiplied - Whether the tile data is premultiplied by alpha
+     */
+    setAlphaMode(mode, { cutoff = this.alphaCutoff, premultiplied = this.premultipliedAlpha } = {}) {
+        if (!ALPHA_MODES.includes(mode)) {
+            console.warn(`[TileManager] Unknown alpha mode "${mode}"`);
+            return;
+        }
+
+        this.alphaMode = mode;
+        this.alphaCutoff = cutoff;
+        this.premultipliedAlpha = !!premultiplied;
+        const alpha = { mode, cutoff, premultiplied: this.premultipliedAlpha };
+        applyAlphaUniforms(this.sharedAlphaUniforms, alpha);
+        if (this.#alphaNodes) {
+            applyAlphaUniforms(this.#alphaNodes, alpha);
+        }
+        this.materials.forEach(material => {
+            if (material && material !== this.placeholderMaterial) {
+                configureAlphaMaterial(material, mode);
             }
+        });
+    }
+
+    #getAlphaNodes() {
+        if (!this.#alphaNodes) {
+            this.#alphaNodes = createAlphaNodes();
+            applyAlphaUniforms(this.#alphaNodes, {
+                mode: this.alphaMode,
+                cutoff: this.alphaCutoff,
+                premultiplied: this.premultipliedAlpha
+            });
+        }
+        return this.#alphaNodes;
+    }
+
+    #getGradingNodes() {
+        if (!this.#gradingNodes) {
+            this.#gradingNodes = createGradingNodes();
+            this.#applyGrading();
         }
+        return this.#gradingNodes;
     }
 
     /**
@@ -605,6 +2099,7 @@ export class TileManager {
     setRotate90(flag) {
         this.rotate90 = !!flag;
         this.sharedRotateUniform.value = this.rotate90 ? 1 : 0;
+        this.#debugMaterials?.setRotate90(this.rotate90);
 
         // For WebGPU, also update TSL uniform nodes
         if (this.rendererType === 'webgpu') {
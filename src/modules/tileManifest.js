@@ -0,0 +1,215 @@
+/**
+ * Tile-set manifest format
+ *
+ * Zips and folders of tiles may carry a `manifest.json` describing the set:
+ *
+ * {
+ *   "version": 1,
+ *   "title": "Skating",
+ *   "author": "nsitu",
+ *   "format": "ktx2",          // 'ktx2' or 'image'
+ *   "extension": "ktx2",       // file extension of the numbered tiles (0.ktx2, 1.ktx2, ...)
+ *   "tileCount": 32,
+ *   "tileSize": 512,
+ *   "layerCount": 30,
+ *   "fps": 30,
+ *   "playbackMode": "loop",    // 'loop', 'pingpong' or 'once'
+ *   "rotate90": true,
+ *   "colorSpace": "srgb",      // 'srgb' or 'linear' (colour space of the tile data)
+ *   "alphaMode": "opaque",     // 'opaque', 'mask' (cut-out) or 'blend' (translucent)
+ *   "alphaCutoff": 0.5,        // 'mask' only: alpha below this is cut away
+ *   "premultipliedAlpha": false, // whether the tile data's colour is premultiplied by alpha
+ *   "imageLayout": "atlas",    // image tiles only: 'single', 'atlas' or 'frames' (see below)
+ *   "atlasColumns": 6,         // 'atlas' only: grid of frames in each tile image,
+ *   "atlasRows": 5             //   read left to right, top to bottom
+ * }
+ *
+ * Image layouts:
+ * - 'single': one still image per tile (0.jpg, 1.jpg, ...)
+ * - 'atlas':  one sprite sheet per tile, layerCount frames on an atlasColumns x atlasRows grid
+ * - 'frames': one folder of numbered frames per tile (0/0.jpg, 0/1.jpg, ..., 1/0.jpg, ...)
+ *
+ * Every field is optional; anything missing is left for the loader to work out.
+ *
+ * Tile paths inside a zip (see getTilePath/parseTilePath), optionally all inside an
+ * enclosing folder. ZipTileSource reads this layout and tools/pack-tiles.js writes it:
+ *   manifest.json
+ *   0.ktx2, 1.ktx2, ...            KTX2 tiles, every layer in one file
+ *   0.jpg, 1.jpg, ...              image tiles ('single' or 'atlas')
+ *   0/0.jpg, 0/1.jpg, 1/0.jpg, ... frame folders ('frames')
+ *
+ * This module has no browser or three.js dependencies so the Node tooling can share it.
+ */
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+export const PLAYBACK_MODES = ['loop', 'pingpong', 'once'];
+export const COLOR_SPACES = ['srgb', 'linear'];
+export const TILE_FORMATS = ['ktx2', 'image'];
+export const IMAGE_LAYOUTS = ['single', 'atlas', 'frames'];
+export const ALPHA_MODES = ['opaque', 'mask', 'blend'];
+
+export const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+export const TILE_EXTENSIONS = ['ktx2', ...IMAGE_EXTENSIONS];
+
+function assertPositiveInteger(value, field) {
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Manifest field "${field}" must be a positive integer (got ${JSON.stringify(value)})`);
+    }
+}
+
+function assertOneOf(value, allowed, field) {
+    if (!allowed.includes(value)) {
+        throw new Error(`Manifest field "${field}" must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+}
+
+/**
+ * Parse and validate a manifest
+ * @param {string|Object} input - JSON text or an already-parsed object
+ * @returns {Object} Manifest containing only recognised, validated fields
+ * @throws {Error} If the JSON is malformed or a field has the wrong type
+ */
+export function parseManifest(input) {
+    const raw = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Manifest must be a JSON object');
+    }
+
+    const manifest = { version: raw.version ?? MANIFEST_VERSION };
+    if (manifest.version > MANIFEST_VERSION) {
+        console.warn(`[TileManifest] Manifest version ${manifest.version} is newer than supported version ${MANIFEST_VERSION}`);
+    }
+
+    for (const field of ['title', 'author', 'extension']) {
+        if (raw[field] !== undefined) {
+            manifest[field] = String(raw[field]);
+        }
+    }
+
+    for (const field of ['tileCount', 'tileSize', 'layerCount', 'atlasColumns', 'atlasRows']) {
+        if (raw[field] !== undefined) {
+            assertPositiveInteger(raw[field], field);
+            manifest[field] = raw[field];
+        }
+    }
+
+    if (raw.fps !== undefined) {
+        if (typeof raw.fps !== 'number' || !(raw.fps > 0)) {
+            throw new Error(`Manifest field "fps" must be a positive number (got ${JSON.stringify(raw.fps)})`);
+        }
+        manifest.fps = raw.fps;
+    }
+
+    if (raw.playbackMode !== undefined) {
+        assertOneOf(raw.playbackMode, PLAYBACK_MODES, 'playbackMode');
+        manifest.playbackMode = raw.playbackMode;
+    }
+
+    if (raw.colorSpace !== undefined) {
+        assertOneOf(raw.colorSpace, COLOR_SPACES, 'colorSpace');
+        manifest.colorSpace = raw.colorSpace;
+    }
+
+    if (raw.format !== undefined) {
+        assertOneOf(raw.format, TILE_FORMATS, 'format');
+        manifest.format = raw.format;
+    }
+
+    if (raw.imageLayout !== undefined) {
+        assertOneOf(raw.imageLayout, IMAGE_LAYOUTS, 'imageLayout');
+        manifest.imageLayout = raw.imageLayout;
+    }
+
+    if (raw.alphaMode !== undefined) {
+        assertOneOf(raw.alphaMode, ALPHA_MODES, 'alphaMode');
+        manifest.alphaMode = raw.alphaMode;
+    }
+
+    if (raw.alphaCutoff !== undefined) {
+        if (typeof raw.alphaCutoff !== 'number' || raw.alphaCutoff < 0 || raw.alphaCutoff > 1) {
+            throw new Error(`Manifest field "alphaCutoff" must be a number from 0 to 1 (got ${JSON.stringify(raw.alphaCutoff)})`);
+        }
+        manifest.alphaCutoff = raw.alphaCutoff;
+    }
+
+    for (const field of ['rotate90', 'premultipliedAlpha']) {
+        if (raw[field] === undefined) continue;
+        if (typeof raw[field] !== 'boolean') {
+            throw new Error(`Manifest field "${field}" must be true or false (got ${JSON.stringify(raw[field])})`);
+        }
+        manifest[field] = raw[field];
+    }
+
+    return manifest;
+}
+
+/**
+ * Build a manifest object ready to be written as manifest.json
+ * @param {Object} fields - Any manifest fields
+ * @returns {Object} Validated manifest with the current version
+ */
+export function createManifest(fields = {}) {
+    return parseManifest({ ...fields, version: MANIFEST_VERSION });
+}
+
+/**
+ * @param {string} name - File name or path
+ * @returns {string} Lower-case extension without the dot, or ''
+ */
+export function getExtension(name) {
+    const match = /\.([a-z0-9]+)$/i.exec(name || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Path of a tile (or one of its frames) in a packaged tile set
+ * @param {number} index - Tile index
+ * @param {string} extension - e.g. 'ktx2', 'jpg'
+ * @param {number|null} frame - Frame number for the 'frames' layout
+ * @returns {string} e.g. '3.ktx2' or '3/12.jpg'
+ */
+export function getTilePath(index, extension, frame = null) {
+    return frame === null ? `${index}.${extension}` : `${index}/${frame}.${extension}`;
+}
+
+/**
+ * Read a tile's index (and frame) back from its path in a packaged tile set
+ * @param {string} path - Path within the zip; tiles may sit in an enclosing folder
+ * @param {Object} options
+ * @param {boolean} options.frames - Whether the set uses frame folders ('frames' layout)
+ * @returns {{index: number, frame: number|null, extension: string}|null} null for anything
+ *   that isn't a tile (manifest, previews, macOS metadata, ...)
+ */
+export function parseTilePath(path, { frames = false } = {}) {
+    const parts = path.split('/').filter(Boolean);
+    if (parts.some(part => part.startsWith('.') || part === '__MACOSX')) return null;
+
+    const extension = getExtension(parts[parts.length - 1]);
+    const fileMatch = /^(\d+)\.[a-z0-9]+$/i.exec(parts[parts.length - 1]);
+    if (!fileMatch || !TILE_EXTENSIONS.includes(extension)) return null;
+    const number = parseInt(fileMatch[1], 10);
+
+    if (frames && extension !== 'ktx2') {
+        const folder = parts[parts.length - 2];
+        if (!folder || !/^\d+$/.test(folder)) return null;
+        return { index: parseInt(folder, 10), frame: number, extension };
+    }
+    return { index: number, frame: null, extension };
+}
+
+/**
+ * Sort items into tile order by the number in their name (0.ktx2, 1.ktx2, ... 10.ktx2);
+ * names without a number go last
+ * @param {Array} items
+ * @param {Function} getName - item => name or path (default: item.name)
+ * @returns {Array} Sorted copy
+ */
+export function sortByTileNumber(items, getName = item => item.name) {
+    const numberOf = item => {
+        const match = /(\d+)(?=(\.[^.]+)?$)/.exec(getName(item).split('/').pop());
+        return match ? parseInt(match[1], 10) : Number.MAX_SAFE_INTEGER;
+    };
+    return [...items].sort((a, b) => numberOf(a) - numberOf(b) || getName(a).localeCompare(getName(b)));
+}
@@ -0,0 +1,663 @@
+/**
+ * Tile source adapters for TileManager
+ *
+ * An adapter knows where a tile set lives and how to read individual tiles from it.
+ * TileManager picks an adapter from its registry (see TileManager.registerSourceAdapter)
+ * and turns whatever the adapter returns into textures and materials.
+ *
+ * Every adapter reports:
+ * - tileCount:  number of tiles in the set
+ * - tileSize:   edge length of each square tile in pixels
+ * - layerCount: number of layers per tile (1 for still images)
+ * - imageLayout, atlasColumns, atlasRows: how animated image tiles are laid out
+ *   ('single', 'atlas' or 'frames'; see tileManifest.js)
+ * - format:     what readTile() resolves to
+ *     'ktx2'  → ArrayBuffer holding a KTX2 file
+ *     'image' → URL string for an image (JPG/PNG/WebP), or an array of frame URLs
+ *               when imageLayout is 'frames'
+ *     'array' → ready-made THREE.DataArrayTexture
+ *
+ * Zips and folders may also carry a manifest.json (see tileManifest.js); when present
+ * its values take precedence over anything the adapter works out for itself.
+ */
+
+import {
+    MANIFEST_FILENAME, IMAGE_EXTENSIONS, parseManifest, parseTilePath, getExtension, sortByTileNumber
+} from './tileManifest.js';
+import { readKTX2Header } from './tileValidation.js';
+import { getCachedArchive, putCachedArchive } from './archiveCache.js';
+import { WorkerPool } from '../utils/worker-pool.js';
+
+/**
+ * Base class for tile source adapters
+ */
+export class TileSource {
+    /**
+     * Whether this adapter can handle the given source descriptor
+     * @param {*} source - String, File, FileList, or descriptor object passed to TileManager
+     * @returns {boolean}
+     */
+    static matches(source) {
+        return false;
+    }
+
+    /**
+     * @param {*} source - The source descriptor this adapter was matched on
+     * @param {Object} options
+     * @param {number} options.tileCount - Tile count to assume when the source can't report one
+     * @param {number} options.tileSize - Tile size to assume when the source can't report one
+     * @param {Function} options.onProgress - Callback: (stage, current, total) => {}
+     */
+    constructor(source, options = {}) {
+        const {
+            tileCount = 32,
+            tileSize = 512,
+            onProgress = null
+        } = options;
+
+        this.source = source;
+        this.tileCount = tileCount;
+        this.tileSize = tileSize;
+        this.layerCount = 1;
+        this.format = 'image';
+        this.playbackMode = 'loop'; // 'loop', 'pingpong' or 'once'; guessed from the name unless a manifest says otherwise
+        this.imageLayout = 'single';
+        this.atlasColumns = 1;
+        this.atlasRows = 1;
+        this.manifest = null;
+        this.onProgress = onProgress;
+    }
+
+    /**
+     * Adopt a parsed manifest, letting it override what the adapter reported
+     * @param {Object|null} manifest - Result of parseManifest()
+     */
+    applyManifest(manifest) {
+        if (!manifest) return;
+        this.manifest = manifest;
+        this.tileCount = manifest.tileCount ?? this.tileCount;
+        this.tileSize = manifest.tileSize ?? this.tileSize;
+        this.layerCount = manifest.layerCount ?? this.layerCount;
+        this.playbackMode = manifest.playbackMode ?? this.playbackMode;
+        this.imageLayout = manifest.imageLayout ?? this.imageLayout;
+        this.atlasColumns = manifest.atlasColumns ?? this.atlasColumns;
+        this.atlasRows = manifest.atlasRows ?? this.atlasRows;
+        if (this.imageLayout === 'atlas' && manifest.layerCount === undefined) {
+            this.layerCount = this.atlasColumns * this.atlasRows;
+        }
+    }
+
+    /**
+     * Download, unpack or index the tile set. Rejects if the source is unusable.
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the work; rejects with an AbortError
+     */
+    async open({ signal } = {}) { }
+
+    /**
+     * Read a single tile
+     * @param {number} index - Tile index in [0, tileCount)
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the read; rejects with an AbortError
+     * @returns {Promise<ArrayBuffer|string|THREE.DataArrayTexture|null>} Tile data per `format`, or null if missing
+     */
+    async readTile(index, { signal } = {}) {
+        throw new Error(`${this.constructor.name} does not implement readTile()`);
+    }
+
+    /**
+     * Release anything held by the adapter (object URLs, buffers)
+     */
+    dispose() { }
+}
+
+// --- Helpers ---
+
+/**
+ * Parse manifest text, logging and ignoring it if invalid
+ * @param {string} text
+ * @param {string} origin - Where the manifest came from, for logging
+ * @returns {Object|null}
+ */
+function readManifest(text, origin) {
+    try {
+        const manifest = parseManifest(text);
+        console.log(`[TileSource] Loaded manifest from ${origin}`, manifest);
+        return manifest;
+    } catch (error) {
+        console.warn(`[TileSource] Ignoring invalid manifest in ${origin}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetch an optional manifest.json next to a folder of tiles
+ * @param {string} folder
+ * @returns {Promise<Object|null>} The manifest, or null if absent or invalid
+ */
+async function fetchManifest(folder, signal = null) {
+    const url = `${folder}/${MANIFEST_FILENAME}`;
+    try {
+        const response = await fetch(url, { signal });
+        // Dev servers may answer missing files with index.html, so insist on JSON
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.ok || !contentType.includes('json')) return null;
+        return readManifest(await response.text(), url);
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        return null;
+    }
+}
+
+// Shared pool for unpacking archives off the main thread
+let zipWorkerPool = null;
+
+function getZipWorkerPool() {
+    if (!zipWorkerPool) {
+        const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+        zipWorkerPool = new WorkerPool(
+            () => new Worker(new URL('./zipWorker.js', import.meta.url), { type: 'module' }),
+            Math.min(2, Math.max(1, cores - 1))
+        );
+    }
+    return zipWorkerPool;
+}
+
+function applyKTX2Header(adapter, buffer) {
+    const header = readKTX2Header(buffer);
+    if (header) {
+        adapter.tileSize = header.width;
+        adapter.layerCount = header.layerCount;
+    }
+}
+
+// --- Built-in adapters ---
+
+/**
+ * Zip archive of numbered tiles, fetched from a URL or supplied as a File
+ * Matches: 'skating-512.zip' (any string ending in .zip) or a .zip File
+ *
+ * Holds KTX2 tiles or image tiles laid out as in tileManifest.js (the layout
+ * tools/pack-tiles.js writes); KTX2 wins when an archive has both.
+ *
+ * Downloaded archives with a known version are kept in Cache Storage (see archiveCache.js).
+ * Options: { cacheVersion } to version an archive not listed in RELEASES, { useCache: false } to bypass.
+ */
+export class ZipTileSource extends TileSource {
+    // Large archives hosted on GitHub Releases.
+    // Bump `version` whenever an archive is republished so cached copies are replaced.
+    static RELEASES = {
+        'skating-512.zip': {
+            url: 'https://github.com/nsitu/rivvon/releases/download/textures/skating-512.zip',
+            version: '1'
+        }
+    };
+
+    static matches(source) {
+        if (typeof source === 'string') return source.endsWith('.zip');
+        return typeof Blob !== 'undefined' && source instanceof Blob && getExtension(source.name) === 'zip';
+    }
+
+    constructor(source, options = {}) {
+        super(source, options);
+        this.format = 'ktx2';
+        this.name = typeof source === 'string' ? source : source.name;
+        this.playbackMode = this.name.includes('planes') ? 'pingpong' : 'loop';
+        this.url = typeof source === 'string' ? ZipTileSource.getZipUrl(source) : null;
+
+        // Cache by the canonical URL, not the proxied one
+        const release = ZipTileSource.RELEASES[this.name];
+        this.cacheUrl = release?.url ?? this.url;
+        this.cacheVersion = options.cacheVersion ?? release?.version ?? null;
+        this.useCache = options.useCache !== false && !!this.url && !!this.cacheVersion;
+
+        this.files = null; // Will store extracted files as { 'path/in/zip.ktx2': Uint8Array, ... }
+        this.tiles = null; // Per tile index: { data, extension }, or a list of frames for 'frames'
+        this.objectUrls = [];
+    }
+
+    // Map zip filenames to their URLs (GitHub Releases for large files)
+    // Note: GitHub Releases doesn't support CORS, so we use a proxy for cross-origin requests
+    static getZipUrl(source) {
+        const releaseUrl = ZipTileSource.RELEASES[source]?.url;
+        if (releaseUrl) {
+            // Check if we're on the same origin (local dev) or need CORS proxy
+            const isLocalDev = window.location.hostname === 'localhost' ||
+                window.location.hostname === '127.0.0.1';
+
+            if (isLocalDev) {
+                // Local development can use the URL directly (or local file)
+                return `./${source}`;
+            }
+
+            // For production (GitHub Pages), use corsproxy.io to bypass CORS
+            return `https://corsproxy.io/?${encodeURIComponent(releaseUrl)}`;
+        }
+
+        // Fall back to local path
+        return `./${source}`;
+    }
+
+    async #fetchArchive(signal) {
+        if (!this.url) {
+            return this.source.arrayBuffer();
+        }
+
+        if (this.useCache) {
+            const cached = await getCachedArchive(this.cacheUrl, this.cacheVersion);
+            if (cached) return cached;
+        }
+
+        console.log(`[ZipTileSource] Fetching zip file: ${this.url}`);
+
+        // Report downloading stage
+        if (this.onProgress) {
+            this.onProgress('downloading', 0, 1);
+        }
+
+        const response = await fetch(this.url, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch zip file: ${response.statusText}`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+
+        if (this.useCache) {
+            await putCachedArchive(this.cacheUrl, this.cacheVersion, arrayBuffer);
+        }
+        return arrayBuffer;
+    }
+
+    async open({ signal } = {}) {
+        const arrayBuffer = await this.#fetchArchive(signal);
+        console.log(`[ZipTileSource] Zip file loaded, size: ${arrayBuffer.byteLength} bytes`);
+
+        // Extract all tile files in a worker, collecting them as they stream back
+        // (the buffer is transferred, so any cached copy must already be stored)
+        this.files = {};
+        const { count, manifestText } = await getZipWorkerPool().run(
+            'extractZip',
+            { buffer: arrayBuffer },
+            {
+                transfer: [arrayBuffer],
+                signal,
+                onProgress: ({ stage, name, data, current, total }) => {
+                    if (stage === 'file') {
+                        this.files[name] = data;
+                    }
+                    // Report extraction progress ('start' reports 0 of total)
+                    if (this.onProgress) {
+                        this.onProgress('extracting', current || 0, total);
+                    }
+                }
+            }
+        );
+
+        const manifest = manifestText ? readManifest(manifestText, this.name) : null;
+        this.#indexTiles(manifest?.imageLayout === 'frames');
+        if (this.tiles.length === 0) {
+            throw new Error(`No KTX2 or image tiles found in ${this.name}`);
+        }
+
+        this.tileCount = this.tiles.length;
+        if (this.format === 'ktx2' && this.tiles[0]) {
+            applyKTX2Header(this, this.tiles[0].data);
+        }
+        this.applyManifest(manifest);
+        if (this.imageLayout === 'frames' && manifest?.layerCount === undefined) {
+            this.layerCount = this.tiles[0]?.length ?? this.layerCount;
+        }
+
+        console.log(`[ZipTileSource] Extracted ${count} files from zip: ${this.tileCount} ${this.format} tiles`);
+    }
+
+    /**
+     * Sort the extracted files into tiles by their paths
+     * @param {boolean} frames - Whether image tiles are frame folders
+     */
+    #indexTiles(frames) {
+        const entries = Object.entries(this.files)
+            .map(([path, data]) => ({ ...parseTilePath(path, { frames }), data }))
+            .filter(entry => entry.extension);
+
+        this.format = entries.some(entry => entry.extension === 'ktx2') ? 'ktx2' : 'image';
+        this.tiles = [];
+        for (const { index, frame, extension, data } of entries) {
+            if ((extension === 'ktx2') !== (this.format === 'ktx2')) continue;
+            if (frame === null) {
+                this.tiles[index] = { data, extension };
+            } else {
+                (this.tiles[index] ??= [])[frame] = { data, extension };
+            }
+        }
+    }
+
+    #createObjectUrl({ data, extension }) {
+        const type = `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        this.objectUrls.push(url);
+        return url;
+    }
+
+    async readTile(index) {
+        const tile = this.tiles?.[index];
+        if (!tile) return null;
+
+        if (this.format === 'ktx2') {
+            return tile.data.buffer.slice(tile.data.byteOffset, tile.data.byteOffset + tile.data.byteLength);
+        }
+        if (Array.isArray(tile)) {
+            return tile.filter(Boolean).map(frame => this.#createObjectUrl(frame));
+        }
+        return this.#createObjectUrl(tile);
+    }
+
+    dispose() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.files = null;
+        this.tiles = null;
+    }
+}
+
+/**
+ * Folder of numbered KTX2 tiles served alongside the app
+ * Matches: 'ktx2-planes', 'ktx2-waves', or { type: 'ktx2', folder, tileCount }
+ */
+export class KTX2FolderTileSource extends TileSource {
+    static matches(source) {
+        if (typeof source === 'string') return source.startsWith('ktx2');
+        return source?.type === 'ktx2' && typeof source.folder === 'string';
+    }
+
+    constructor(source, options = {}) {
+        super(source, options);
+        this.format = 'ktx2';
+
+        if (typeof source === 'string') {
+            this.folder = source.includes('planes') ? './tiles-ktx2-planes' : './tiles-ktx2-waves';
+        } else {
+            this.folder = source.folder.replace(/\/$/, '');
+            this.tileCount = source.tileCount ?? this.tileCount;
+        }
+        this.playbackMode = this.folder.includes('planes') ? 'pingpong' : 'loop';
+
+        this.firstTile = null; // Tile 0 is fetched by open() to read the header
+    }
+
+    async #fetchTile(index, signal) {
+        const response = await fetch(`${this.folder}/${index}.ktx2`, { signal });
+        if (!response.ok) return null;
+        return response.arrayBuffer();
+    }
+
+    async open({ signal } = {}) {
+        this.firstTile = await this.#fetchTile(0, signal);
+        if (!this.firstTile) {
+            throw new Error(`No KTX2 tiles found in ${this.folder}`);
+        }
+        applyKTX2Header(this, this.firstTile);
+        this.applyManifest(await fetchManifest(this.folder, signal));
+    }
+
+    async readTile(index, { signal } = {}) {
+        if (index === 0 && this.firstTile) {
+            const buffer = this.firstTile;
+            this.firstTile = null;
+            return buffer;
+        }
+        return this.#fetchTile(index, signal);
+    }
+
+    dispose() {
+        this.firstTile = null;
+    }
+}
+
+/**
+ * Folder of numbered still images served alongside the app
+ * Matches: 'jpg', or { type: 'images', folder, extension, tileCount }
+ */
+export class ImageFolderTileSource extends TileSource {
+    static matches(source) {
+        if (typeof source === 'string') return source === 'jpg';
+        return source?.type === 'images' && typeof source.folder === 'string';
+    }
+
+    /**
+     * @param {string|Object} source - 'jpg' for the bundled stills, or
+     *   { type: 'images', folder, extension, tileCount, layout, columns, rows, layerCount }
+     *   where layout is 'single', 'atlas' or 'frames' (a manifest.json in the folder wins)
+     * @param {Object} options - See TileSource
+     */
+    constructor(source = 'jpg', options = {}) {
+        super(source, options);
+        this.format = 'image';
+
+        if (typeof source === 'string') {
+            this.folder = './tiles-numbered';
+            this.extension = 'jpg';
+        } else {
+            this.folder = source.folder.replace(/\/$/, '');
+            this.extension = source.extension || 'jpg';
+            this.tileCount = source.tileCount ?? this.tileCount;
+            this.imageLayout = source.layout ?? this.imageLayout;
+            this.atlasColumns = source.columns ?? this.atlasColumns;
+            this.atlasRows = source.rows ?? this.atlasRows;
+            this.layerCount = source.layerCount
+                ?? (this.imageLayout === 'atlas' ? this.atlasColumns * this.atlasRows : this.layerCount);
+        }
+    }
+
+    async open({ signal } = {}) {
+        const manifest = await fetchManifest(this.folder, signal);
+        this.applyManifest(manifest);
+        this.extension = manifest?.extension ?? this.extension;
+
+        if (this.imageLayout === 'frames' && this.layerCount <= 1) {
+            console.warn(`[ImageFolderTileSource] ${this.folder} uses frame folders but has no layerCount; showing frame 0 only`);
+        }
+    }
+
+    async readTile(index) {
+        if (this.imageLayout === 'frames') {
+            return Array.from({ length: this.layerCount }, (_, frame) => `${this.folder}/${index}/${frame}.${this.extension}`);
+        }
+        return `${this.folder}/${index}.${this.extension}`;
+    }
+}
+
+/**
+ * Tiles picked by the user: a File, FileList or array of Files (KTX2 or images)
+ * Files are put in tile order by the number in their name. For the 'frames' layout, each
+ * file's folder gives its tile, so the files need their paths (a dropped or picked folder).
+ */
+export class FileListTileSource extends TileSource {
+    static matches(source) {
+        if (typeof FileList !== 'undefined' && source instanceof FileList) return true;
+        if (Array.isArray(source)) return source.length > 0 && source.every(f => typeof Blob !== 'undefined' && f instanceof Blob);
+        return typeof File !== 'undefined' && source instanceof File;
+    }
+
+    constructor(source, options = {}) {
+        super(source, options);
+        const files = source instanceof Blob ? [source] : Array.from(source);
+
+        const ktx2Files = files.filter(f => getExtension(f.name) === 'ktx2');
+        const imageFiles = files.filter(f => IMAGE_EXTENSIONS.includes(getExtension(f.name)));
+        this.manifestFile = files.find(f => f.name === MANIFEST_FILENAME) || null;
+
+        // Prefer KTX2 when a selection mixes both
+        this.format = ktx2Files.length > 0 ? 'ktx2' : 'image';
+        this.files = sortByTileNumber(this.format === 'ktx2' ? ktx2Files : imageFiles);
+        this.tileCount = this.files.length;
+        this.tiles = null; // Per tile index, a list of frame files ('frames' layout only)
+        this.objectUrls = [];
+    }
+
+    async open() {
+        if (this.files.length === 0) {
+            throw new Error('No KTX2 or image files in selection');
+        }
+        const manifest = this.manifestFile
+            ? readManifest(await this.manifestFile.text(), this.manifestFile.name)
+            : null;
+        if (this.format === 'image' && manifest?.imageLayout === 'frames') {
+            this.#indexFrames();
+        }
+        if (this.format === 'ktx2') {
+            applyKTX2Header(this, await this.files[0].arrayBuffer());
+        }
+        this.applyManifest(manifest);
+        if (this.tiles && manifest.layerCount === undefined) {
+            this.layerCount = this.tiles[0]?.length ?? this.layerCount;
+        }
+    }
+
+    /**
+     * Sort the image files into tiles of frames by their folders, as ZipTileSource does
+     */
+    #indexFrames() {
+        this.tiles = [];
+        for (const file of this.files) {
+            const tile = parseTilePath(file.webkitRelativePath || file.name, { frames: true });
+            if (tile) {
+                (this.tiles[tile.index] ??= [])[tile.frame] = file;
+            }
+        }
+        if (this.tiles.length === 0) {
+            throw new Error('Tile set uses frame folders (0/0.jpg, 0/1.jpg, ...) but the selected files have no folders; drop the whole folder instead');
+        }
+        this.tileCount = this.tiles.length;
+    }
+
+    #createObjectUrl(file) {
+        const url = URL.createObjectURL(file);
+        this.objectUrls.push(url);
+        return url;
+    }
+
+    async readTile(index) {
+        if (this.tiles) {
+            return this.tiles[index]?.filter(Boolean).map(file => this.#createObjectUrl(file)) ?? null;
+        }
+
+        const file = this.files[index];
+        if (!file) return null;
+
+        if (this.format === 'ktx2') {
+            return file.arrayBuffer();
+        }
+        return this.#createObjectUrl(file);
+    }
+
+    dispose() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+}
+
+// --- IndexedDB storage for tile sets ---
+
+const TILE_DB_NAME = 'rivvon-tiles';
+const TILE_DB_STORE = 'tileSets';
+
+function openTileDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(TILE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(TILE_DB_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runTileDB(mode, operation) {
+    return openTileDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(TILE_DB_STORE, mode);
+        const request = operation(tx.objectStore(TILE_DB_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+    }));
+}
+
+/**
+ * Tile set stored in IndexedDB under a key
+ * Matches: 'idb:<key>' or { type: 'indexeddb', key }
+ *
+ * Records look like { format: 'ktx2'|'image', tiles: Array<ArrayBuffer|Blob>, tileSize, layerCount, manifest }
+ */
+export class IndexedDBTileSource extends TileSource {
+    static matches(source) {
+        if (typeof source === 'string') return source.startsWith('idb:');
+        return source?.type === 'indexeddb' && typeof source.key === 'string';
+    }
+
+    constructor(source, options = {}) {
+        super(source, options);
+        this.key = typeof source === 'string' ? source.slice(4) : source.key;
+        this.record = null;
+        this.objectUrls = [];
+    }
+
+    /**
+     * Store a tile set so it can later be opened with 'idb:<key>'
+     * @param {string} key
+     * @param {Object} record - { format, tiles, tileSize, layerCount, manifest }
+     */
+    static save(key, record) {
+        return runTileDB('readwrite', store => store.put({ ...record, savedAt: Date.now() }, key));
+    }
+
+    static load(key) {
+        return runTileDB('readonly', store => store.get(key));
+    }
+
+    static remove(key) {
+        return runTileDB('readwrite', store => store.delete(key));
+    }
+
+    static keys() {
+        return runTileDB('readonly', store => store.getAllKeys());
+    }
+
+    async open() {
+        this.record = await IndexedDBTileSource.load(this.key);
+        if (!this.record || !Array.isArray(this.record.tiles)) {
+            throw new Error(`No tile set stored under "${this.key}"`);
+        }
+
+        this.format = this.record.format || 'ktx2';
+        this.tileCount = this.record.tiles.length;
+        this.tileSize = this.record.tileSize ?? this.tileSize;
+        this.layerCount = this.record.layerCount ?? this.layerCount;
+        if (this.record.manifest) {
+            this.applyManifest(parseManifest(this.record.manifest));
+        }
+    }
+
+    async readTile(index) {
+        const tile = this.record?.tiles[index];
+        if (!tile) return null;
+
+        if (this.format === 'ktx2') {
+            return tile instanceof Blob ? tile.arrayBuffer() : tile;
+        }
+
+        const url = URL.createObjectURL(tile instanceof Blob ? tile : new Blob([tile]));
+        this.objectUrls.push(url);
+        return url;
+    }
+
+    dispose() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.record = null;
+    }
+}
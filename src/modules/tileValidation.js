@@ -0,0 +1,316 @@
+/**
+ * Tile-set validation
+ *
+ * TileManager records what it finds while loading tiles (and in a full pass via
+ * TileManager.validate()) as a report:
+ *
+ * {
+ *   source, title, format, tileCount, tileSize, layerCount,
+ *   checkedCount,            // tiles looked at so far
+ *   gpuBytes,                // estimated GPU memory of the loaded tiles
+ *   tiles: [{ index, width, height, layerCount, bytes }],
+ *   issues: [{ severity, type, index, message }],
+ *   errorCount, warningCount,
+ *   ok                       // no errors (warnings allowed)
+ * }
+ *
+ * checkTilePackage() builds the same report offline from a packaged set's files, for
+ * tools/pack-tiles.js.
+ *
+ * Like tileManifest.js, this module has no browser or three.js dependencies so the
+ * Node tooling can share the KTX2 checks.
+ */
+
+import { parseTilePath } from './tileManifest.js';
+
+export const ISSUE_TYPES = {
+    missing: 'error',            // tile index has no file in the source
+    'load-error': 'error',       // file present but couldn't be read, parsed or decoded
+    'unsupported-format': 'error', // file isn't a format the renderer can use
+    dimensions: 'warning',       // non-square tile, or size differs from the set's tile size
+    'layer-count': 'warning',    // layer count differs from the rest of the set
+    'tile-count': 'warning'      // package holds more tiles than its manifest's tileCount
+};
+
+/**
+ * Thrown in strict mode when a tile set fails validation
+ */
+export class TileValidationError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {Object} details.issue - The issue that failed the tile (per-tile failures)
+     * @param {Object} details.report - The full report (TileManager.validate())
+     */
+    constructor(message, { issue = null, report = null } = {}) {
+        super(message);
+        this.name = 'TileValidationError';
+        this.issue = issue;
+        this.report = report;
+    }
+}
+
+/**
+ * Create an issue entry
+ * @param {string} type - Key of ISSUE_TYPES
+ * @param {number|null} index - Tile index, or null for set-wide issues
+ * @param {string} message
+ * @returns {{severity: string, type: string, index: number|null, message: string}}
+ */
+export function createIssue(type, index, message) {
+    return { severity: ISSUE_TYPES[type] || 'error', type, index, message };
+}
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {boolean} Whether the data starts with the KTX2 file identifier
+ */
+export function hasKTX2Identifier(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return bytes.length >= KTX2_IDENTIFIER.length && KTX2_IDENTIFIER.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Read tile dimensions from a KTX2 header without transcoding
+ * @param {ArrayBuffer|Uint8Array} buffer - KTX2 file contents
+ * @returns {{width: number, height: number, layerCount: number}|null}
+ */
+export function readKTX2Header(buffer) {
+    if (!buffer || buffer.byteLength < 48) return null;
+    const view = buffer instanceof Uint8Array
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+    // 12-byte identifier, then vkFormat, typeSize, pixelWidth, pixelHeight, pixelDepth, layerCount
+    return {
+        width: view.getUint32(20, true),
+        height: view.getUint32(24, true),
+        layerCount: Math.max(1, view.getUint32(32, true))
+    };
+}
+
+/**
+ * Read image dimensions from a PNG, JPEG or WebP header without decoding
+ * @param {ArrayBuffer|Uint8Array} buffer - Image file contents
+ * @returns {{width: number, height: number}|null} null if the format isn't recognised
+ */
+export function readImageSize(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+    // PNG: signature, then the IHDR chunk
+    if (bytes.length >= 24 && bytes[0] === 0x89 && ascii(1, 3) === 'PNG') {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    // JPEG: walk the segments to the first start-of-frame marker
+    if (bytes.length >= 4 && bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 <= bytes.length) {
+            if (bytes[offset] !== 0xFF) return null;
+            const marker = bytes[offset + 1];
+            if (marker === 0xFF) { offset++; continue; } // Fill byte
+            const isFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+            if (isFrame) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            const standalone = (marker >= 0xD0 && marker <= 0xD9) || marker === 0x01;
+            offset += standalone ? 2 : 2 + view.getUint16(offset + 2);
+        }
+        return null;
+    }
+
+    // WebP: RIFF container holding a lossy, lossless or extended bitstream
+    if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const chunk = ascii(12, 4);
+        if (chunk === 'VP8 ') {
+            return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+        }
+        if (chunk === 'VP8L') {
+            const bits = view.getUint32(21, true);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            const uint24 = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+            return { width: uint24(24) + 1, height: uint24(27) + 1 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check one tile's dimensions against what the set expects
+ * @param {number} index - Tile index
+ * @param {{width: number, height: number, layerCount: number}} info - The tile's dimensions
+ * @param {{tileSize: number|null, layerCount: number|null}} expected - null skips that check
+ * @returns {Array<Object>} Issues found
+ */
+export function checkTileDimensions(index, info, expected = {}) {
+    const issues = [];
+    if (info.width !== info.height) {
+        issues.push(createIssue('dimensions', index, `Tile ${index} is ${info.width}x${info.height}, not square`));
+    } else if (expected.tileSize && info.width !== expected.tileSize) {
+        issues.push(createIssue('dimensions', index, `Tile ${index} is ${info.width}px, expected ${expected.tileSize}px`));
+    }
+    if (expected.layerCount && info.layerCount !== expected.layerCount) {
+        issues.push(createIssue('layer-count', index, `Tile ${index} has ${info.layerCount} layer(s), expected ${expected.layerCount}`));
+    }
+    return issues;
+}
+
+/**
+ * Estimate the GPU memory used by a texture from its CPU-side data
+ * @param {Object} texture - A three.js texture (compressed, data array or image)
+ * @returns {number} Bytes
+ */
+export function estimateTextureBytes(texture) {
+    if (!texture) return 0;
+
+    // Compressed (KTX2) textures: each mip level's data covers every layer
+    if (Array.isArray(texture.mipmaps) && texture.mipmaps.length > 0 && texture.mipmaps[0]?.data) {
+        return texture.mipmaps.reduce((sum, mip) => sum + (mip.data?.byteLength || 0), 0);
+    }
+
+    // Uncompressed data (DataArrayTexture) or images: uploaded as RGBA8.
+    // TileManager samples these without mipmaps, so there's no mip chain to add.
+    const image = texture.image || {};
+    const layers = image.depth || 1;
+    return (image.width || 0) * (image.height || 0) * layers * 4;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "12.4 MB"
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Assemble a report from per-tile records and issues
+ * @param {Object} summary - { source, title, format, tileCount, tileSize, layerCount }
+ * @param {Array<Object>} tiles - Per-tile records (may be sparse)
+ * @param {Array<Object>} issues
+ * @param {number} checkedCount - Tiles looked at
+ * @returns {Object} Report (see module comment)
+ */
+export function buildReport(summary, tiles, issues, checkedCount) {
+    const tileList = tiles.filter(Boolean);
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    return {
+        ...summary,
+        checkedCount,
+        gpuBytes: tileList.reduce((sum, tile) => sum + (tile.bytes || 0), 0),
+        tiles: tileList,
+        issues: [...issues].sort((a, b) => (a.index ?? -1) - (b.index ?? -1)),
+        errorCount,
+        warningCount: issues.length - errorCount,
+        ok: errorCount === 0
+    };
+}
+
+/**
+ * Check a packaged tile set (the files of a zip, or of a folder about to be zipped)
+ * against its manifest, without a browser or GPU
+ * @param {Object} pkg
+ * @param {Array<{path: string, data: Uint8Array}>} pkg.files - Files by path within the
+ *   package; anything that isn't a tile is ignored
+ * @param {Object|null} pkg.manifest - Parsed manifest, if the package has one
+ * @param {string|null} pkg.source - Name to show in the report
+ * @returns {Object} Report (see module comment); tile records carry file sizes in `fileBytes`
+ */
+export function checkTilePackage({ files, manifest = null, source = null }) {
+    const frames = manifest?.imageLayout === 'frames';
+    const tiles = [];
+    for (const file of files) {
+        const entry = parseTilePath(file.path, { frames });
+        if (entry) (tiles[entry.index] ??= []).push({ ...entry, data: file.data });
+    }
+
+    const format = tiles.some(entries => entries?.some(entry => entry.extension === 'ktx2')) ? 'ktx2' : 'image';
+    const issues = [];
+    const records = [];
+    const expected = { tileSize: manifest?.tileSize ?? null, layerCount: manifest?.layerCount ?? null };
+    const tileCount = manifest?.tileCount ?? tiles.length;
+
+    if (tiles.length === 0) {
+        issues.push(createIssue('missing', null, 'No tile files found'));
+    }
+    if (manifest?.format && manifest.format !== format) {
+        issues.push(createIssue('unsupported-format', null, `Manifest says format "${manifest.format}" but the tiles are ${format}`));
+    }
+    if (tiles.length > tileCount) {
+        issues.push(createIssue('tile-count', null, `Found ${tiles.length} tiles but the manifest's tileCount is ${tileCount}; the extra tiles are never shown`));
+    }
+
+    // Atlas tiles hold a grid of frames, so compare the size of one cell
+    const atlas = format === 'image' && manifest?.imageLayout === 'atlas';
+    const columns = atlas ? manifest.atlasColumns ?? 1 : 1;
+    const rows = atlas ? manifest.atlasRows ?? 1 : 1;
+
+    for (let index = 0; index < tileCount; index++) {
+        // Loaders prefer KTX2 when a tile has both
+        const entries = (tiles[index] || []).filter(entry => (entry.extension === 'ktx2') === (format === 'ktx2'));
+        if (entries.length === 0) {
+            issues.push(createIssue('missing', index, `Tile ${index} is missing`));
+            continue;
+        }
+
+        let info;
+        if (format === 'ktx2') {
+            const { data } = entries[0];
+            if (!hasKTX2Identifier(data)) {
+                issues.push(createIssue('unsupported-format', index, `Tile ${index} is not a KTX2 file`));
+                continue;
+            }
+            info = readKTX2Header(data);
+        } else {
+            entries.sort((a, b) => (a.frame ?? 0) - (b.frame ?? 0));
+            const sizes = entries.map(entry => readImageSize(entry.data));
+            const unreadable = sizes.findIndex(size => !size);
+            if (unreadable >= 0) {
+                const frame = entries[unreadable].frame;
+                issues.push(createIssue('unsupported-format', index, `Tile ${index}${frame === null ? '' : ` frame ${frame}`} is not a PNG, JPEG or WebP image`));
+                continue;
+            }
+            if (frames) {
+                const gap = entries.findIndex((entry, i) => entry.frame !== i);
+                if (gap >= 0) {
+                    issues.push(createIssue('missing', index, `Tile ${index} is missing frame ${gap}`));
+                }
+                if (sizes.some(size => size.width !== sizes[0].width || size.height !== sizes[0].height)) {
+                    issues.push(createIssue('dimensions', index, `Tile ${index} has frames of different sizes`));
+                }
+            }
+            info = {
+                width: sizes[0].width / columns,
+                height: sizes[0].height / rows,
+                layerCount: frames ? entries.length : atlas ? manifest.layerCount ?? columns * rows : 1
+            };
+        }
+
+        // The first tile sets the expectations the manifest leaves open
+        expected.tileSize ??= info.width;
+        expected.layerCount ??= info.layerCount;
+        issues.push(...checkTileDimensions(index, info, expected));
+        records[index] = {
+            index,
+            ...info,
+            fileBytes: entries.reduce((sum, entry) => sum + entry.data.byteLength, 0)
+        };
+    }
+
+    const summary = {
+        source,
+        title: manifest?.title ?? null,
+        format,
+        tileCount,
+        tileSize: expected.tileSize,
+        layerCount: expected.layerCount
+    };
+    return buildReport(summary, records, issues, records.filter(Boolean).length);
+}
@@ -0,0 +1,257 @@
+/**
+ * VideoTileSource - Decodes a local video file into layered tiles for TileManager
+ *
+ * Each tile becomes a THREE.DataArrayTexture of `layerCount` square layers,
+ * so the result plugs into the same array-texture materials as the KTX2 path.
+ *
+ * Sampling modes:
+ * - 'frames':   the video is split into `tileCount` windows; each layer of a tile
+ *               is one center-cropped frame from its window.
+ * - 'slitscan': each tile is built row by row from successive frames, taking a
+ *               horizontal slit from each frame so that time runs along the ribbon
+ *               (with rotate90 enabled). Each layer samples the slit at a different
+ *               height, so cycling layers sweeps the slit across the frame.
+ */
+
+import * as THREE from 'three';
+import { TileSource } from './tileSources.js';
+import { getExtension } from './tileManifest.js';
+
+// Some platforms give .mov, .mkv and even .mp4 files no MIME type, so check these too
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v', 'mkv'];
+
+export class VideoTileSource extends TileSource {
+    /**
+     * Matches a local video File or Blob, by its type or else its file extension
+     * @param {*} source
+     * @returns {boolean}
+     */
+    static matches(source) {
+        if (typeof Blob === 'undefined' || !(source instanceof Blob)) return false;
+        if (source.type) return source.type.startsWith('video/');
+        return VIDEO_EXTENSIONS.includes(getExtension(source.name));
+    }
+
+    /**
+     * Create a new video tile source
+     * @param {File|Blob} file - The video file to decode
+     * @param {Object} options
+     * @param {number} options.tileCount - Number of tiles to produce
+     * @param {number} options.tileSize - Edge length of each square tile in pixels
+     * @param {number} options.layerCount - Number of layers per tile
+     * @param {string} options.mode - 'frames' or 'slitscan'
+     * @param {number} options.slitHeight - Rows taken from each frame in 'slitscan' mode
+     * @param {Function} options.onProgress - Callback: (stage, current, total) => {}
+     */
+    constructor(file, options = {}) {
+        super(file, options);
+        const {
+            layerCount = 8,
+            mode = 'frames',
+            slitHeight = 16
+        } = options;
+
+        this.file = file;
+        this.format = 'array';
+        this.layerCount = Math.max(1, layerCount);
+        this.mode = mode === 'slitscan' ? 'slitscan' : 'frames';
+        this.slitHeight = Math.max(1, Math.min(slitHeight, this.tileSize));
+
+        this.textures = null; // One DataArrayTexture per tile, built by open()
+        this.video = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.duration = 0;
+    }
+
+    /**
+     * Decode the video and build one array texture per tile
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Stops decoding between frames
+     */
+    async open({ signal } = {}) {
+        const url = URL.createObjectURL(this.file);
+
+        try {
+            await this.#openVideo(url);
+
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.canvas.height = this.tileSize;
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+            const totalFrames = this.#getTotalFrames();
+            let decodedFrames = 0;
+            const reportFrame = () => {
+                signal?.throwIfAborted();
+                decodedFrames++;
+                if (this.onProgress) {
+                    this.onProgress('decoding', decodedFrames, totalFrames);
+                }
+            };
+
+            if (this.onProgress) {
+                this.onProgress('decoding', 0, totalFrames);
+            }
+
+            console.log(`[VideoTileSource] Decoding ${this.file.name || 'video'} (${this.duration.toFixed(2)}s) into ${this.tileCount} tiles x ${this.layerCount} layers, mode=${this.mode}`);
+
+            const textures = [];
+            for (let i = 0; i < this.tileCount; i++) {
+                signal?.throwIfAborted();
+                const data = this.mode === 'slitscan'
+                    ? await this.#sampleSlitScanTile(i, reportFrame)
+                    : await this.#sampleFramesTile(i, reportFrame);
+                textures.push(this.#createArrayTexture(data));
+            }
+
+            console.log(`[VideoTileSource] Decoded ${decodedFrames} frames into ${textures.length} tiles`);
+            this.textures = textures;
+        } finally {
+            URL.revokeObjectURL(url);
+            this.#closeVideo();
+        }
+    }
+
+    async readTile(index) {
+        return this.textures?.[index] || null;
+    }
+
+    dispose() {
+        this.textures = null;
+    }
+
+    #getTotalFrames() {
+        if (this.mode === 'slitscan') {
+            return this.tileCount * Math.ceil(this.tileSize / this.slitHeight);
+        }
+        return this.tileCount * this.layerCount;
+    }
+
+    async #openVideo(url) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        this.video = video;
+
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+            video.addEventListener('error', () => {
+                reject(new Error(`Unable to decode video: ${video.error?.message || 'unsupported format'}`));
+            }, { once: true });
+            video.src = url;
+        });
+
+        this.duration = video.duration;
+        if (!Number.isFinite(this.duration) || this.duration <= 0) {
+            throw new Error('Video has no usable duration');
+        }
+        if (!video.videoWidth || !video.videoHeight) {
+            throw new Error('Video has no decodable frames');
+        }
+    }
+
+    #closeVideo() {
+        if (this.video) {
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.video = null;
+        }
+    }
+
+    #seek(time) {
+        const video = this.video;
+        // Keep clear of the very end, where some browsers return a blank frame
+        const target = Math.min(Math.max(0, time), Math.max(0, this.duration - 0.001));
+
+        if (Math.abs(video.currentTime - target) < 1e-4 && video.readyState >= 2) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onSeeked = () => {
+                video.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                video.removeEventListener('seeked', onSeeked);
+                reject(new Error(`Failed to seek video to ${target.toFixed(3)}s`));
+            };
+            video.addEventListener('seeked', onSeeked, { once: true });
+            video.addEventListener('error', onError, { once: true });
+            video.currentTime = target;
+        });
+    }
+
+    /**
+     * Draw the current video frame, center-cropped to a square, and read it back
+     * @returns {Uint8ClampedArray} RGBA pixels, top row first
+     */
+    #readSquareFrame() {
+        const { videoWidth, videoHeight } = this.video;
+        const cropSize = Math.min(videoWidth, videoHeight);
+        const sx = (videoWidth - cropSize) / 2;
+        const sy = (videoHeight - cropSize) / 2;
+
+        this.ctx.drawImage(this.video, sx, sy, cropSize, cropSize, 0, 0, this.tileSize, this.tileSize);
+        return this.ctx.getImageData(0, 0, this.tileSize, this.tileSize).data;
+    }
+
+    async #sampleFramesTile(tileIndex, reportFrame) {
+        const layerBytes = this.tileSize * this.tileSize * 4;
+        const data = new Uint8Array(layerBytes * this.layerCount);
+        const totalFrames = this.tileCount * this.layerCount;
+
+        for (let layer = 0; layer < this.layerCount; layer++) {
+            const frameIndex = tileIndex * this.layerCount + layer;
+            await this.#seek(((frameIndex + 0.5) / totalFrames) * this.duration);
+            data.set(this.#readSquareFrame(), layer * layerBytes);
+            reportFrame();
+        }
+
+        return data;
+    }
+
+    async #sampleSlitScanTile(tileIndex, reportFrame) {
+        const rowBytes = this.tileSize * 4;
+        const layerBytes = rowBytes * this.tileSize;
+        const data = new Uint8Array(layerBytes * this.layerCount);
+        const framesPerTile = Math.ceil(this.tileSize / this.slitHeight);
+        const totalFrames = this.tileCount * framesPerTile;
+
+        // Source row where each layer's slit begins, spread evenly down the frame
+        const slitRows = [];
+        for (let layer = 0; layer < this.layerCount; layer++) {
+            const center = ((layer + 0.5) / this.layerCount) * this.tileSize;
+            slitRows.push(Math.round(Math.min(Math.max(0, center - this.slitHeight / 2), this.tileSize - this.slitHeight)));
+        }
+
+        for (let k = 0; k < framesPerTile; k++) {
+            const frameIndex = tileIndex * framesPerTile + k;
+            await this.#seek(((frameIndex + 0.5) / totalFrames) * this.duration);
+            const pixels = this.#readSquareFrame();
+
+            const destRow = k * this.slitHeight;
+            const rows = Math.min(this.slitHeight, this.tileSize - destRow);
+            for (let layer = 0; layer < this.layerCount; layer++) {
+                const srcStart = slitRows[layer] * rowBytes;
+                data.set(
+                    pixels.subarray(srcStart, srcStart + rows * rowBytes),
+                    layer * layerBytes + destRow * rowBytes
+                );
+            }
+            reportFrame();
+        }
+
+        return data;
+    }
+
+    #createArrayTexture(data) {
+        const texture = new THREE.DataArrayTexture(data, this.tileSize, this.tileSize, this.layerCount);
+        texture.format = THREE.RGBAFormat;
+        texture.type = THREE.UnsignedByteType;
+        texture.colorSpace = THREE.SRGBColorSpace; // Canvas pixels are sRGB
+        texture.needsUpdate = true;
+        return texture;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Zip worker - unpacks tile archives off the main thread (see utils/worker-pool.js)
+ *
+ * Task 'extractZip': { buffer: ArrayBuffer }
+ *   progress: { stage: 'start', total }
+ *             { stage: 'file', name, data: Uint8Array, current, total }  (data is transferred)
+ *             where name is the file's path in the zip; only tile files (TILE_EXTENSIONS) are sent
+ *   result:   { count, manifestText }
+ */
+
+import JSZip from 'jszip';
+import { MANIFEST_FILENAME, TILE_EXTENSIONS, getExtension } from './tileManifest.js';
+
+const handlers = {
+    async extractZip({ buffer }, postProgress) {
+        const zipData = await new JSZip().loadAsync(buffer);
+
+        const tileFiles = [];
+        let manifestFile = null;
+        zipData.forEach((relativePath, file) => {
+            // Skip folders and macOS metadata (__MACOSX/, ._name)
+            if (file.dir || relativePath.startsWith('__MACOSX/') || relativePath.split('/').pop().startsWith('.')) return;
+            if (TILE_EXTENSIONS.includes(getExtension(relativePath))) {
+                tileFiles.push({ relativePath, file });
+            } else if (relativePath.split('/').pop() === MANIFEST_FILENAME) {
+                manifestFile = file;
+            }
+        });
+
+        const total = tileFiles.length;
+        postProgress({ stage: 'start', total });
+
+        let current = 0;
+        for (const { relativePath, file } of tileFiles) {
+            const data = await file.async('uint8array');
+            current++;
+            postProgress({ stage: 'file', name: relativePath, data, current, total }, [data.buffer]);
+        }
+
+        return {
+            count: total,
+            manifestText: manifestFile ? await manifestFile.async('string') : null
+        };
+    }
+};
+
+self.onmessage = async (event) => {
+    const { taskId, type, payload } = event.data;
+    const postProgress = (data, transfer = []) => self.postMessage({ taskId, kind: 'progress', data }, transfer);
+
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Unknown task type: ${type}`);
+        const result = await handler(payload, postProgress);
+        self.postMessage({ taskId, kind: 'done', result });
+    } catch (error) {
+        self.postMessage({ taskId, kind: 'error', message: error?.message || String(error) });
+    }
+};
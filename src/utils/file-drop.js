@@ -0,0 +1,60 @@
+/**
+ * File drop helpers
+ * Collects files from a drop, walking into dropped folders.
+ */
+
+function readEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+function getFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+async function collectFiles(entry, files) {
+    if (entry.isFile) {
+        const file = await getFile(entry);
+        // Keep its path within the drop, as a folder picked with <input webkitdirectory>
+        // reports it; frame folders (0/0.jpg, 1/0.jpg, ...) reuse the same file names
+        Object.defineProperty(file, 'webkitRelativePath', { value: entry.fullPath.replace(/^\//, '') });
+        files.push(file);
+        return;
+    }
+
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries() returns results in batches; an empty batch means the folder is done
+        let batch;
+        do {
+            batch = await readEntries(reader);
+            for (const child of batch) {
+                await collectFiles(child, files);
+            }
+        } while (batch.length > 0);
+    }
+}
+
+/**
+ * Get every file from a drop, including the contents of dropped folders (flattened, with
+ * each file's path in the drop as its webkitRelativePath)
+ * @param {DataTransfer} dataTransfer - From the drop event
+ * @returns {Promise<Array<File>>}
+ */
+export async function getDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    // Browsers without the entries API only give us top-level files
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        await collectFiles(entry, files);
+    }
+    return files;
+}
@@ -0,0 +1,165 @@
+/**
+ * Worker Pool
+ * Runs tasks on a fixed number of Web Workers, with progress messages and cancellation.
+ *
+ * Worker protocol:
+ *   main → worker:  { taskId, type, payload }
+ *   worker → main:  { taskId, kind: 'progress', data }   (any number of times)
+ *                   { taskId, kind: 'done', result }     (once, on success)
+ *                   { taskId, kind: 'error', message }   (once, on failure)
+ */
+
+/**
+ * Create the error used when a task is cancelled
+ * @param {string} message
+ * @returns {DOMException} An error with name 'AbortError'
+ */
+export function createAbortError(message = 'Operation was cancelled') {
+    return new DOMException(message, 'AbortError');
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} Whether the error came from a cancellation
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+export class WorkerPool {
+    /**
+     * @param {Function} createWorker - Factory returning a new Worker
+     * @param {number} size - Maximum number of workers
+     */
+    constructor(createWorker, size = 2) {
+        this.createWorker = createWorker;
+        this.size = Math.max(1, size);
+        this.workers = [];      // { worker, task }
+        this.queue = [];        // tasks waiting for a free worker
+        this.nextTaskId = 1;
+    }
+
+    /**
+     * Run a task on the next free worker
+     * @param {string} type - Task type understood by the worker
+     * @param {*} payload - Task data
+     * @param {Object} options
+     * @param {Array<Transferable>} options.transfer - Objects to transfer rather than copy
+     * @param {AbortSignal} options.signal - Cancels the task (terminating its worker if running)
+     * @param {Function} options.onProgress - Called with each progress message's data
+     * @returns {Promise<*>} The worker's result
+     */
+    run(type, payload, { transfer = [], signal = null, onProgress = null } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: this.nextTaskId++,
+                type,
+                payload,
+                transfer,
+                onProgress,
+                resolve,
+                reject,
+                signal,
+                onAbort: null
+            };
+
+            if (signal) {
+                task.onAbort = () => this.#cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+
+            this.queue.push(task);
+            this.#dispatch();
+        });
+    }
+
+    /**
+     * Terminate all workers and reject anything pending
+     */
+    terminate() {
+        const pending = [...this.queue, ...this.workers.map(slot => slot.task).filter(Boolean)];
+        this.queue = [];
+        this.workers.forEach(slot => slot.worker.terminate());
+        this.workers = [];
+        pending.forEach(task => this.#settle(task, () => task.reject(createAbortError('Worker pool terminated'))));
+    }
+
+    #dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(s => !s.task);
+            if (!slot && this.workers.length < this.size) {
+                slot = this.#spawn();
+            }
+            if (!slot) return;
+
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({ taskId: task.id, type: task.type, payload: task.payload }, task.transfer);
+        }
+    }
+
+    #spawn() {
+        const slot = { worker: this.createWorker(), task: null };
+
+        slot.worker.onmessage = (event) => {
+            const { taskId, kind, data, result, message } = event.data;
+            const task = slot.task;
+            if (!task || task.id !== taskId) return;
+
+            if (kind === 'progress') {
+                task.onProgress?.(data);
+                return;
+            }
+
+            slot.task = null;
+            this.#settle(task, () => {
+                if (kind === 'done') task.resolve(result);
+                else task.reject(new Error(message || 'Worker task failed'));
+            });
+            this.#dispatch();
+        };
+
+        slot.worker.onerror = (event) => {
+            const task = slot.task;
+            this.#replace(slot);
+            if (task) {
+                this.#settle(task, () => task.reject(new Error(event.message || 'Worker crashed')));
+            }
+            this.#dispatch();
+        };
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    // A worker can't be interrupted mid-task, so a cancelled running task costs its worker
+    #replace(slot) {
+        slot.worker.terminate();
+        this.workers = this.workers.filter(s => s !== slot);
+    }
+
+    #cancel(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued >= 0) {
+            this.queue.splice(queued, 1);
+        } else {
+            const slot = this.workers.find(s => s.task === task);
+            if (!slot) return;
+            this.#replace(slot);
+        }
+
+        this.#settle(task, () => task.reject(createAbortError()));
+        this.#dispatch();
+    }
+
+    #settle(task, settle) {
+        if (task.signal && task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        settle();
+    }
+}
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * pack-tiles - Build and check tile-set zips for ZipTileSource
+ *
+ *   node tools/pack-tiles.js pack <folder> [-o out.zip] [options]
+ *   node tools/pack-tiles.js validate <zip>...
+ *
+ * `pack` takes a folder of numbered tiles and writes a zip in the layout the app loads
+ * (see tileManifest.js), with a manifest.json:
+ * - KTX2 tiles:      clip-01.ktx2, clip-02.ktx2, ...        → 0.ktx2, 1.ktx2, ...
+ * - image tiles:     tile1.png, tile2.png, ...              → 0.png, 1.png, ...
+ * - frame sequences: a numbered folder of numbered frames per tile
+ *                    shot_1/f001.jpg, shot_1/f002.jpg, ...  → 0/0.jpg, 0/1.jpg, ...
+ * Tiles and frames are put in order by the number in their name and renumbered from 0.
+ * A manifest.json in the folder is used as a starting point; options override it.
+ * The packed set is checked with the same rules as `validate`, and errors stop the zip
+ * from being written unless --force is given.
+ *
+ * `validate` checks existing zips offline: tile numbering, file formats, sizes, layer
+ * and frame counts against the manifest. It exits with status 1 if any zip has errors.
+ */
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import JSZip from 'jszip';
+import {
+    MANIFEST_FILENAME, PLAYBACK_MODES, COLOR_SPACES, IMAGE_EXTENSIONS, TILE_EXTENSIONS,
+    parseManifest, createManifest, getExtension, getTilePath, sortByTileNumber
+} from '../src/modules/tileManifest.js';
+import { checkTilePackage, formatBytes } from '../src/modules/tileValidation.js';
+
+const USAGE = `Usage:
+  node tools/pack-tiles.js pack <folder> [options]
+  node tools/pack-tiles.js validate <zip>...
+
+Pack options:
+  -o, --output <file>      Zip to write (default: <folder>.zip)
+  --title <text>           Manifest title
+  --author <text>          Manifest author
+  --fps <n>                Playback frame rate
+  --mode <mode>            Playback mode: ${PLAYBACK_MODES.join(', ')}
+  --color-space <space>    Colour space of the tile data: ${COLOR_SPACES.join(', ')}
+  --rotate90               Tiles are stored rotated by 90 degrees
+  --atlas <cols>x<rows>    Image tiles are sprite sheets with this grid of frames
+  --layers <n>             Frames in use in each sprite sheet (default: cols x rows)
+  --force                  Write the zip even if the check finds errors
+  -h, --help               Show this help`;
+
+class UsageError extends Error { }
+
+// --- Reading the input folder ---
+
+/**
+ * Numbered entries of a directory, in tile order
+ * @param {Array<fs.Dirent>} entries
+ * @returns {{numbered: Array<fs.Dirent>, skipped: Array<string>}}
+ */
+function numberedEntries(entries) {
+    const numbered = [];
+    const skipped = [];
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        (/\d/.test(entry.name) ? numbered : skipped).push(entry);
+    }
+
+    const sorted = sortByTileNumber(numbered);
+    const numberOf = entry => parseInt(/(\d+)(?=(\.[^.]+)?$)/.exec(entry.name)?.[1], 10);
+    for (let i = 1; i < sorted.length; i++) {
+        if (numberOf(sorted[i]) === numberOf(sorted[i - 1])) {
+            throw new Error(`"${sorted[i - 1].name}" and "${sorted[i].name}" have the same number, so their order is ambiguous`);
+        }
+    }
+    return { numbered: sorted, skipped: skipped.map(entry => entry.name) };
+}
+
+/**
+ * @param {Array<string>} names
+ * @param {string} what - For the error message
+ * @returns {string} The one extension the files share
+ */
+function singleExtension(names, what) {
+    const extensions = [...new Set(names.map(getExtension))];
+    if (extensions.length > 1) {
+        throw new Error(`${what} mix ${extensions.map(ext => `.${ext}`).join(' and ')} files; convert them to one format first`);
+    }
+    return extensions[0];
+}
+
+/**
+ * Collect the tiles of an input folder in package layout
+ * @param {string} folder
+ * @returns {Promise<{files: Array<{path, data, from}>, format, extension, frames, baseManifest, skipped}>}
+ */
+async function readInputFolder(folder) {
+    const entries = await readdir(folder, { withFileTypes: true });
+
+    const manifestEntry = entries.find(entry => entry.isFile() && entry.name === MANIFEST_FILENAME);
+    const baseManifest = manifestEntry
+        ? parseManifest(await readFile(join(folder, MANIFEST_FILENAME), 'utf8'))
+        : {};
+
+    const tileFiles = entries.filter(entry => entry.isFile() && TILE_EXTENSIONS.includes(getExtension(entry.name)));
+    const folders = entries.filter(entry => entry.isDirectory());
+    const files = [];
+
+    // Frame sequences: one numbered folder of numbered frames per tile
+    if (tileFiles.length === 0 && folders.length > 0) {
+        const { numbered, skipped } = numberedEntries(folders);
+        let extension = null;
+        for (const [index, tileFolder] of numbered.entries()) {
+            const frameEntries = (await readdir(join(folder, tileFolder.name), { withFileTypes: true }))
+                .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(getExtension(entry.name)));
+            const frames = numberedEntries(frameEntries).numbered;
+            if (frames.length === 0) {
+                throw new Error(`Folder "${tileFolder.name}" has no numbered ${IMAGE_EXTENSIONS.join('/')} frames`);
+            }
+            const frameExtension = singleExtension(frames.map(frame => frame.name), `Frames in "${tileFolder.name}"`);
+            if (extension && frameExtension !== extension) {
+                throw new Error(`Frame folders mix .${extension} and .${frameExtension} files; convert them to one format first`);
+            }
+            extension = frameExtension;
+            for (const [frame, entry] of frames.entries()) {
+                const from = join(tileFolder.name, entry.name);
+                files.push({ path: getTilePath(index, extension, frame), data: await readFile(join(folder, from)), from });
+            }
+        }
+        return { files, format: 'image', extension, frames: true, baseManifest, skipped };
+    }
+
+    if (tileFiles.length === 0) {
+        throw new Error(`No KTX2 or image tiles (${TILE_EXTENSIONS.join(', ')}) in ${folder}`);
+    }
+
+    const extension = singleExtension(tileFiles.map(entry => entry.name), 'Tiles');
+    const { numbered, skipped } = numberedEntries(tileFiles);
+    for (const [index, entry] of numbered.entries()) {
+        files.push({ path: getTilePath(index, extension), data: await readFile(join(folder, entry.name)), from: entry.name });
+    }
+    const format = extension === 'ktx2' ? 'ktx2' : 'image';
+    return { files, format, extension, frames: false, baseManifest, skipped };
+}
+
+// --- Commands ---
+
+/**
+ * Manifest fields given on the command line
+ * @param {Object} values - parseArgs() values
+ * @returns {Object}
+ */
+function manifestOptions(values) {
+    const number = option => {
+        const value = Number(values[option]);
+        if (!Number.isFinite(value)) throw new UsageError(`--${option} expects a number (got "${values[option]}")`);
+        return value;
+    };
+    const fields = {};
+    if (values.title !== undefined) fields.title = values.title;
+    if (values.author !== undefined) fields.author = values.author;
+    if (values.fps !== undefined) fields.fps = number('fps');
+    if (values.mode !== undefined) fields.playbackMode = values.mode;
+    if (values['color-space'] !== undefined) fields.colorSpace = values['color-space'];
+    if (values.rotate90) fields.rotate90 = true;
+    if (values.atlas !== undefined) {
+        const match = /^(\d+)x(\d+)$/i.exec(values.atlas);
+        if (!match) throw new UsageError(`--atlas expects <columns>x<rows>, e.g. 6x5 (got "${values.atlas}")`);
+        fields.imageLayout = 'atlas';
+        fields.atlasColumns = parseInt(match[1], 10);
+        fields.atlasRows = parseInt(match[2], 10);
+    }
+    if (values.layers !== undefined) fields.layerCount = number('layers');
+    return fields;
+}
+
+async function pack(folder, values) {
+    if (!folder) throw new UsageError('pack needs an input folder');
+    const input = resolve(folder);
+    const output = resolve(values.output ?? `${input.replace(/[\\/]+$/, '')}.zip`);
+
+    const { files, format, extension, frames, baseManifest, skipped } = await readInputFolder(input);
+    if (skipped.length > 0) {
+        console.log(`Skipping ${skipped.length} entr${skipped.length === 1 ? 'y' : 'ies'} without a number: ${skipped.join(', ')}`);
+    }
+
+    const fields = {
+        ...baseManifest,
+        ...manifestOptions(values),
+        format,
+        extension,
+        tileCount: new Set(files.map(file => file.path.split(/[./]/)[0])).size
+    };
+    if (format === 'ktx2') {
+        if (fields.imageLayout === 'atlas') throw new UsageError('--atlas only applies to image tiles');
+        delete fields.imageLayout;
+    } else if (frames) {
+        if (fields.imageLayout === 'atlas') throw new UsageError('--atlas only applies to single image tiles, not frame folders');
+        fields.imageLayout = 'frames';
+    } else {
+        fields.imageLayout ??= 'single';
+    }
+
+    // Fill in what the tiles themselves say, then check the whole package against it
+    const measured = checkTilePackage({ files, manifest: parseManifest({ ...fields, tileSize: undefined, layerCount: undefined }) });
+    const manifest = createManifest({
+        ...fields,
+        tileSize: fields.tileSize ?? measured.tileSize ?? undefined,
+        layerCount: fields.layerCount ?? measured.layerCount ?? undefined
+    });
+    const report = checkTilePackage({ files, manifest, source: basename(output) });
+
+    const renamed = files.filter(file => file.from.replace(/\\/g, '/') !== file.path);
+    for (const file of renamed.slice(0, 10)) {
+        console.log(`  ${file.from} → ${file.path}`);
+    }
+    if (renamed.length > 10) console.log(`  ... and ${renamed.length - 10} more renamed`);
+    printReport(report);
+
+    if (!report.ok && !values.force) {
+        console.error(`Not writing ${output}; fix the errors above or pass --force`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const zip = new JSZip();
+    zip.file(MANIFEST_FILENAME, `${JSON.stringify(manifest, null, 2)}\n`);
+    for (const file of files) {
+        zip.file(file.path, file.data);
+    }
+    // KTX2 and image data is already compressed, so store it as is
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+    await writeFile(output, buffer);
+    console.log(`Wrote ${output} (${formatBytes(buffer.length)})`);
+}
+
+async function validate(paths) {
+    if (paths.length === 0) throw new UsageError('validate needs at least one zip');
+
+    let failed = 0;
+    for (const path of paths) {
+        const zip = await JSZip.loadAsync(await readFile(path));
+        const files = [];
+        let manifestFile = null;
+        zip.forEach((relativePath, file) => {
+            if (file.dir) return;
+            if (relativePath.split('/').pop() === MANIFEST_FILENAME && !relativePath.startsWith('__MACOSX/')) {
+                manifestFile = file;
+            } else {
+                files.push({ path: relativePath, file });
+            }
+        });
+
+        let manifest = null;
+        let manifestError = null;
+        if (manifestFile) {
+            try {
+                manifest = parseManifest(await manifestFile.async('string'));
+            } catch (error) {
+                manifestError = error.message;
+            }
+        }
+
+        for (const entry of files) {
+            entry.data = await entry.file.async('uint8array');
+        }
+        const report = checkTilePackage({ files, manifest, source: basename(path) });
+
+        if (!manifestFile) console.log(`${basename(path)}: no ${MANIFEST_FILENAME}; the loader will work the settings out from the tiles`);
+        if (manifestError) console.log(`${basename(path)}: error: invalid ${MANIFEST_FILENAME} (the loader ignores it): ${manifestError}`);
+        printReport(report);
+        if (!report.ok || manifestError) failed++;
+    }
+    if (failed > 0) process.exitCode = 1;
+}
+
+/**
+ * Print a checkTilePackage() report
+ * @param {Object} report
+ */
+function printReport(report) {
+    const fileBytes = report.tiles.reduce((sum, tile) => sum + tile.fileBytes, 0);
+    const title = report.title ? ` "${report.title}"` : '';
+    console.log(`${report.source ?? 'Package'}${title}: ${report.tileCount} ${report.format} tiles, ${report.tileSize ?? '?'}px, ${report.layerCount ?? '?'} layer(s), ${formatBytes(fileBytes)} of tile data`);
+    for (const issue of report.issues) {
+        console.log(`  ${issue.severity}: ${issue.message}`);
+    }
+    const counts = `${report.errorCount} error(s), ${report.warningCount} warning(s)`;
+    console.log(report.ok ? `  OK (${counts})` : `  FAILED (${counts})`);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            title: { type: 'string' },
+            author: { type: 'string' },
+            fps: { type: 'string' },
+            mode: { type: 'string' },
+            'color-space': { type: 'string' },
+            rotate90: { type: 'boolean' },
+            atlas: { type: 'string' },
+            layers: { type: 'string' },
+            force: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (command === 'pack') {
+        if (args.length > 1) throw new UsageError('pack takes one input folder');
+        await pack(args[0], values);
+    } else if (command === 'validate') {
+        await validate(args);
+    } else {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+main().catch(error => {
+    console.error(`pack-tiles: ${error.message}`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error(`\n${USAGE}`);
+    process.exitCode = 1;
+});